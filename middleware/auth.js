@@ -1,11 +1,62 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const RolePolicy = require('../models/RolePolicy');
+const ApiToken = require('../models/ApiToken');
+const { verifyAccessToken } = require('../utils/tokens');
 
-// JWT Authentication Middleware
-const authenticateToken = async (req, res, next) => {
+// Reject a suspended or banned user, including the suspension end date
+const sendAccessRestriction = (res, restriction) => {
+  return res.status(403).json({ 
+    success: false,
+    message: restriction.message,
+    restriction: restriction.type,
+    ...(restriction.suspendedUntil && { suspendedUntil: restriction.suspendedUntil })
+  });
+};
+
+// Resolve a personal API token, enforcing the scope the route requires
+const resolveApiToken = async (token, scope, req) => {
+  if (!scope) {
+    return { status: 403, message: 'API tokens cannot access this endpoint' };
+  }
+
+  const apiToken = await ApiToken.findUsableByToken(token);
+  if (!apiToken) {
+    return { status: 401, message: 'Invalid, expired or revoked API token' };
+  }
+
+  if (!apiToken.scopes.includes(scope)) {
+    return { status: 403, message: `API token is missing the required scope: ${scope}` };
+  }
+
+  await apiToken.touch(req.ip);
+  return { userId: apiToken.user, scopes: apiToken.scopes };
+};
+
+// Resolve a JWT access token, which must belong to a live session
+const resolveAccessToken = async (token) => {
+  const decoded = verifyAccessToken(token);
+
+  // Access tokens are bound to a session that can be revoked server-side
+  const session = decoded.sid && await Session.findById(decoded.sid);
+  if (!session || !session.isUsable() || session.user.toString() !== decoded.userId) {
+    return { status: 401, message: 'Session has been revoked' };
+  }
+
+  return { userId: decoded.userId, sessionId: session._id, expiresAt: new Date(decoded.exp * 1000) };
+};
+
+// Authentication Middleware factory. Accepts session JWTs everywhere and
+// personal API tokens only on routes that declare a `scope`. Users whose role
+// requires two-factor authentication but who haven't enrolled yet can only
+// reach routes created with `allowTwoFactorSetup`. Routes created with
+// `allowQueryToken` also take the token from ?access_token=, for clients
+// such as EventSource that cannot set headers.
+const authenticate = ({ scope = null, allowTwoFactorSetup = false, allowQueryToken = false } = {}) => async (req, res, next) => {
   try {
     const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
+    const queryToken = allowQueryToken && typeof req.query.access_token === 'string' ? req.query.access_token : null;
+    const token = (authHeader && authHeader.split(' ')[1]) || queryToken;
 
     if (!token) {
       return res.status(401).json({ 
@@ -14,22 +65,53 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    const identity = ApiToken.isApiToken(token)
+      ? await resolveApiToken(token, scope, req)
+      : await resolveAccessToken(token);
+
+    if (identity.status) {
+      return res.status(identity.status).json({ 
+        success: false,
+        message: identity.message 
+      });
+    }
     
     // Check if user still exists
-    const user = await User.findById(decoded.userId).select('-password');
-    if (!user) {
+    const user = await User.findById(identity.userId)
+      .select('-password')
+      .populate('institution', 'isActive');
+    if (!user || !user.isActive) {
       return res.status(401).json({ 
         success: false,
         message: 'User no longer exists' 
       });
     }
 
+    const restriction = user.getAccessRestriction();
+    if (restriction) {
+      return sendAccessRestriction(res, restriction);
+    }
+
+    if (!allowTwoFactorSetup && !user.twoFactor.enabled && await RolePolicy.requiresTwoFactor(user.role)) {
+      return res.status(403).json({ 
+        success: false,
+        message: 'Two-factor authentication is required for your role. Please enable it to continue.',
+        twoFactorSetupRequired: true
+      });
+    }
+
     req.user = {
       userId: user._id,
       email: user.email,
       name: user.name,
-      role: user.role
+      role: user.role,
+      emailVerified: user.emailVerified,
+      institution: user.getVerifiedInstitution(),
+      sessionId: identity.sessionId || null,
+      // When the access token stops being valid; null for API tokens
+      tokenExpiresAt: identity.expiresAt || null,
+      // null for session logins, which carry every permission of the user
+      scopes: identity.scopes || null
     };
     
     next();
@@ -54,6 +136,26 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+const authenticateToken = authenticate();
+const authenticateForTwoFactorSetup = authenticate({ allowTwoFactorSetup: true });
+const authenticateStream = authenticate({ allowQueryToken: true });
+
+// Accept session JWTs or personal API tokens carrying `scope`
+const authenticateWithScope = (scope) => authenticate({ scope });
+
+// Authenticate when a token is present, otherwise continue anonymously
+const optionalAuthWithScope = (scope) => {
+  const authenticateRequest = authenticate({ scope });
+  return (req, res, next) => {
+    if (!req.headers['authorization']) {
+      return next();
+    }
+    return authenticateRequest(req, res, next);
+  };
+};
+
+const optionalAuth = optionalAuthWithScope(null);
+
 // Role-based authorization middleware
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -75,8 +177,34 @@ const authorize = (...roles) => {
   };
 };
 
+// Require a confirmed email address (use after authenticateToken)
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ 
+      success: false,
+      message: 'Authentication required' 
+    });
+  }
+
+  if (!req.user.emailVerified) {
+    return res.status(403).json({ 
+      success: false,
+      message: 'Please verify your email address before continuing' 
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   authenticateToken,
+  authenticateForTwoFactorSetup,
+  authenticateStream,
+  authenticateWithScope,
+  optionalAuthWithScope,
+  optionalAuth,
   authorize,
+  requireVerifiedEmail,
+  sendAccessRestriction,
   auth: authenticateToken  // Add this line for compatibility
 };
\ No newline at end of file
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const TOKEN_PREFIX = 'crh_';
+const SCOPES = ['resources:read', 'resources:write', 'ratings:write', 'profile:read'];
+// Avoid a write on every request from busy scripts
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const apiTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: 100
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the token so users can tell their tokens apart
+  displayPrefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: SCOPES
+    }],
+    validate: [scopes => scopes.length > 0, 'At least one scope is required']
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+apiTokenSchema.index({ user: 1, revokedAt: 1 });
+
+// Whether the token can still be used
+apiTokenSchema.methods.isUsable = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Method to record usage, at most once per LAST_USED_RESOLUTION_MS
+apiTokenSchema.methods.touch = function(ip) {
+  const now = new Date();
+  if (this.lastUsedAt && now - this.lastUsedAt < LAST_USED_RESOLUTION_MS) {
+    return Promise.resolve();
+  }
+
+  this.lastUsedAt = now;
+  this.lastUsedIp = ip;
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lastUsedAt: now, lastUsedIp: ip } }
+  );
+};
+
+// Static method to mint a token; returns the document and the plain token,
+// which is never stored and can't be shown again
+apiTokenSchema.statics.mint = async function({ user, name, scopes, expiresAt }) {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+
+  const apiToken = await this.create({
+    user,
+    name,
+    scopes,
+    expiresAt: expiresAt || null,
+    tokenHash: hashToken(token),
+    displayPrefix: token.slice(0, TOKEN_PREFIX.length + 6)
+  });
+
+  return { apiToken, token };
+};
+
+// Static method to look up a usable token from its plain value
+apiTokenSchema.statics.findUsableByToken = async function(token) {
+  const apiToken = await this.findOne({ tokenHash: hashToken(token) });
+  return apiToken && apiToken.isUsable() ? apiToken : null;
+};
+
+apiTokenSchema.statics.isApiToken = (token) => typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+
+apiTokenSchema.statics.SCOPES = SCOPES;
+
+module.exports = mongoose.model('ApiToken', apiTokenSchema);
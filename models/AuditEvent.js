@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const auditEventSchema = new mongoose.Schema({
+  // Dotted event name, e.g. "auth.login.failure" or "resource.update"
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Kept alongside the id so failed logins and deleted users stay searchable
+  actorEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  targetType: {
+    type: String,
+    trim: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  // { field: { from, to } } for changes to existing records
+  diff: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditEventSchema.index({ actorEmail: 1, createdAt: -1 });
+
+// The log is append-only: reject every update or delete issued through Mongoose
+const rejectMutation = function(next) {
+  next(new Error('Audit events are append-only'));
+};
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+auditEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: false, query: true },
+  rejectMutation
+);
+auditEventSchema.pre(['updateOne', 'deleteOne'], { document: true, query: false }, rejectMutation);
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
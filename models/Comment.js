@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+const MAX_BODY_LENGTH = 2000;
+// Mentions are written as @[Display Name](userId)
+const MENTION_PATTERN = /@\[([^\]\n]{1,100})\]\(([a-f0-9]{24})\)/g;
+const MAX_MENTIONS = 10;
+
+const commentEditSchema = new mongoose.Schema({
+  // The text as it was before this edit
+  body: {
+    type: String,
+    required: true
+  },
+  editedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const commentSchema = new mongoose.Schema({
+  resource: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resource',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The comment this replies to, and the top-level comment of its thread;
+  // both are null for top-level comments
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  thread: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: [MAX_BODY_LENGTH, `Comments cannot exceed ${MAX_BODY_LENGTH} characters`]
+  },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Written by the author of the resource
+  byResourceAuthor: {
+    type: Boolean,
+    default: false
+  },
+  // On top-level comments: when the resource author first replied
+  answeredAt: {
+    type: Date,
+    default: null
+  },
+  // Pinned by the resource author; pinned threads and replies are listed first
+  pinnedAt: {
+    type: Date,
+    default: null
+  },
+  edits: [commentEditSchema],
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // Deleted comments with replies stay as placeholders so the thread holds together
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  // Cleared by moderators
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+commentSchema.index({ resource: 1, thread: 1, pinnedAt: -1, createdAt: -1 });
+commentSchema.index({ thread: 1, createdAt: 1 });
+commentSchema.index({ author: 1, createdAt: -1 });
+
+// Method to replace the text, keeping the previous version in the edit history
+commentSchema.methods.edit = function(body) {
+  this.edits.push({ body: this.body, editedAt: new Date() });
+  this.body = body;
+  this.editedAt = new Date();
+};
+
+// Method to delete the text but keep the comment in its thread
+commentSchema.methods.softDelete = function() {
+  this.body = '';
+  this.edits = [];
+  this.mentions = [];
+  this.pinnedAt = null;
+  this.deletedAt = new Date();
+};
+
+// Static method to list the user ids mentioned in a comment body
+commentSchema.statics.parseMentions = function(body) {
+  const ids = new Set();
+  for (const match of String(body || '').matchAll(MENTION_PATTERN)) {
+    ids.add(match[2]);
+    if (ids.size >= MAX_MENTIONS) break;
+  }
+  return [...ids];
+};
+
+// Static method to show mention markup as plain @Name
+commentSchema.statics.toPlainText = function(body) {
+  return String(body || '').replace(MENTION_PATTERN, '@$1');
+};
+
+commentSchema.statics.MAX_BODY_LENGTH = MAX_BODY_LENGTH;
+
+module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const institutionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Institution name is required'],
+    trim: true,
+    maxlength: 200
+  },
+  // Email domains whose verified owners are members, e.g. "university.edu"
+  domains: [{
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9-]+(\.[a-z0-9-]+)+$/, 'Invalid email domain']
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+institutionSchema.index({ domains: 1 }, { unique: true });
+
+// Static method to find the institution owning an email address. Subdomains
+// match their parent, so "cs.university.edu" belongs to "university.edu".
+institutionSchema.statics.findByEmail = function(email) {
+  const domain = String(email || '').toLowerCase().trim().split('@')[1];
+  if (!domain) {
+    return Promise.resolve(null);
+  }
+
+  const labels = domain.split('.');
+  const candidates = labels.slice(0, -1).map((_, i) => labels.slice(i).join('.'));
+
+  return this.findOne({ domains: { $in: candidates }, isActive: true });
+};
+
+module.exports = mongoose.model('Institution', institutionSchema);
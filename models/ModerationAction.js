@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const MODERATION_ACTIONS = ['dismiss', 'hide', 'restore', 'delete', 'warn'];
+const MAX_REASON_LENGTH = 1000;
+
+// A moderator decision. Never updated after creation so it doubles as the
+// record shown to the affected user.
+const moderationActionSchema = new mongoose.Schema({
+  moderator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: MODERATION_ACTIONS,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'A reason is required for every moderation decision'],
+    trim: true,
+    minlength: 3,
+    maxlength: MAX_REASON_LENGTH
+  },
+  targetType: {
+    type: String,
+    enum: ['resource', 'rating', 'comment'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  targetAuthor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Short description of the content at decision time (it may be deleted)
+  targetSummary: {
+    type: String,
+    maxlength: 300
+  },
+  reportsResolved: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+moderationActionSchema.index({ targetAuthor: 1, createdAt: -1 });
+moderationActionSchema.index({ targetType: 1, target: 1, createdAt: -1 });
+moderationActionSchema.index({ moderator: 1, createdAt: -1 });
+
+moderationActionSchema.statics.ACTIONS = MODERATION_ACTIONS;
+moderationActionSchema.statics.MAX_REASON_LENGTH = MAX_REASON_LENGTH;
+
+module.exports = mongoose.model('ModerationAction', moderationActionSchema);
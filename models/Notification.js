@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = [
+  'rating.received',
+  'reputation.changed',
+  'moderation.action',
+  'saved_search.match',
+  'comment.new',
+  'comment.reply',
+  'comment.mention'
+];
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  // Whatever the client needs to act on the notification (ids, counts)
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+// Static method to count a user's unread notifications
+notificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ user: userId, readAt: null });
+};
+
+// Method to shape a notification for API responses and stream events
+notificationSchema.methods.toClient = function() {
+  return {
+    id: this._id,
+    type: this.type,
+    title: this.title,
+    message: this.message,
+    data: this.data,
+    readAt: this.readAt,
+    createdAt: this.createdAt
+  };
+};
+
+notificationSchema.statics.TYPES = NOTIFICATION_TYPES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
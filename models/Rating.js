@@ -22,6 +22,17 @@ const ratingSchema = new mongoose.Schema({
     trim: true,
     maxlength: 500
   },
+  // Version of the resource file the rating was given on
+  resourceVersion: {
+    type: Number,
+    default: 1
+  },
+  // When the score or feedback last changed; helpful votes and reports
+  // also touch updatedAt
+  ratedAt: {
+    type: Date,
+    default: Date.now
+  },
   isHelpful: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -61,22 +72,41 @@ const ratingSchema = new mongoose.Schema({
 
 // Compound index to ensure one rating per user per resource
 ratingSchema.index({ user: 1, resource: 1 }, { unique: true });
+ratingSchema.index({ resource: 1, isActive: 1, helpfulCount: -1, createdAt: -1 });
 
-// Method to mark rating as helpful
-ratingSchema.methods.markHelpful = function(userId) {
-  const existingHelpful = this.isHelpful.find(h => h.user.toString() === userId.toString());
-  
-  if (existingHelpful) {
-    // Remove if already marked helpful
-    this.isHelpful = this.isHelpful.filter(h => h.user.toString() !== userId.toString());
-    this.helpfulCount = Math.max(0, this.helpfulCount - 1);
-  } else {
-    // Add helpful mark
-    this.isHelpful.push({ user: userId });
-    this.helpfulCount += 1;
+// Method to mark rating as helpful, or take the vote back. Each step is one
+// conditional update, so concurrent clicks can neither count a user twice nor
+// move helpfulCount out of step with the votes. Resolves to true when the
+// user's vote now counts.
+ratingSchema.methods.markHelpful = async function(userId) {
+  const Rating = this.constructor;
+
+  // A vote can change between the two updates; try again from the top
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const added = await Rating.findOneAndUpdate(
+      { _id: this._id, 'isHelpful.user': { $ne: userId } },
+      { $push: { isHelpful: { user: userId } }, $inc: { helpfulCount: 1 } },
+      { new: true }
+    );
+    if (added) {
+      this.isHelpful = added.isHelpful;
+      this.helpfulCount = added.helpfulCount;
+      return true;
+    }
+
+    const removed = await Rating.findOneAndUpdate(
+      { _id: this._id, 'isHelpful.user': userId },
+      { $pull: { isHelpful: { user: userId } }, $inc: { helpfulCount: -1 } },
+      { new: true }
+    );
+    if (removed) {
+      this.isHelpful = removed.isHelpful;
+      this.helpfulCount = removed.helpfulCount;
+      return false;
+    }
   }
-  
-  return this.save();
+
+  throw new Error('Helpful vote kept changing; try again');
 };
 
 // Method to report rating
@@ -98,4 +128,15 @@ ratingSchema.methods.reportRating = function(userId, reason) {
   return this.save();
 };
 
+// Method to shape a rating for a listing: who voted and who reported stay
+// private, the viewer only learns whether they wrote it or found it helpful
+ratingSchema.methods.toPublicJSON = function(viewerId) {
+  const { isHelpful, reports, isReported, ...rating } = this.toObject();
+  const authorId = rating.user && (rating.user._id || rating.user);
+
+  rating.isMine = Boolean(viewerId && authorId) && authorId.toString() === viewerId.toString();
+  rating.markedHelpful = Boolean(viewerId) && isHelpful.some(h => h.user.toString() === viewerId.toString());
+  return rating;
+};
+
 module.exports = mongoose.model('Rating', ratingSchema);
\ No newline at end of file
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const REPORT_REASONS = ['spam', 'inappropriate', 'harassment', 'copyright', 'incorrect', 'other'];
+const TARGET_TYPES = ['resource', 'rating', 'comment'];
+
+const reportSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: TARGET_TYPES,
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Author of the reported content, denormalized for moderation history
+  targetAuthor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: true
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  resolution: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ModerationAction',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One report per user per piece of content
+reportSchema.index({ targetType: 1, target: 1, reporter: 1 }, { unique: true });
+reportSchema.index({ status: 1, targetType: 1, createdAt: -1 });
+
+reportSchema.statics.REASONS = REPORT_REASONS;
+reportSchema.statics.TARGET_TYPES = TARGET_TYPES;
+
+module.exports = mongoose.model('Report', reportSchema);
@@ -1,695 +1,563 @@
-const express = require('express');
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-const { body, validationResult } = require('express-validator');
-const Resource = require('../models/Resource');
-const User = require('../models/User');
-const { authenticateToken } = require('../middleware/auth');
-
-const router = express.Router();
-
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadPath = path.join(__dirname, '../uploads/resources');
-    // Create directory if it doesn't exist
-    if (!fs.existsSync(uploadPath)) {
-      fs.mkdirSync(uploadPath, { recursive: true });
-    }
-    cb(null, uploadPath);
-  },
-  filename: (req, file, cb) => {
-    // Create unique filename: timestamp-originalname
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const safeFilename = file.originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
-    cb(null, uniqueSuffix + '-' + safeFilename);
-  }
-});
+const mongoose = require('mongoose');
+const { escapeRegex } = require('../utils/text');
+const { fileTypeGroupOf } = require('../utils/fileType');
 
-const fileFilter = (req, file, cb) => {
-  // Accept only specific file types
-  const allowedTypes = [
-    'application/pdf',
-    'application/msword',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'application/vnd.ms-powerpoint',
-    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-    'text/plain',
-    'image/jpeg',
-    'image/png',
-    'image/gif'
-  ];
+// Course codes such as CS101 or MATH2010B, stored without spaces
+const COURSE_CODE_PATTERN = /^[A-Z]{2,5}\d{2,4}[A-Z]?$/;
 
-  if (allowedTypes.includes(file.mimetype)) {
-    cb(null, true);
-  } else {
-    cb(new Error('Invalid file type. Only PDF, DOC, DOCX, PPT, PPTX, TXT, JPG, PNG, GIF files are allowed.'), false);
-  }
-};
+const SUBJECTS = ['Mathematics', 'Physics', 'Computer Science', 'Chemistry', 'Biology', 'Engineering', 'Business', 'Arts', 'Other'];
 
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 15 * 1024 * 1024, // 15MB limit
+const resourceRatingSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
   },
-  fileFilter: fileFilter
-});
-
-// Validation rules
-const uploadValidation = [
-  body('title')
-    .trim()
-    .notEmpty()
-    .withMessage('Title is required')
-    .isLength({ min: 2, max: 200 })
-    .withMessage('Title must be between 2 and 200 characters'),
-  body('description')
-    .trim()
-    .notEmpty()
-    .withMessage('Description is required')
-    .isLength({ min: 10, max: 1000 })
-    .withMessage('Description must be between 10 and 1000 characters'),
-  body('subject')
-    .notEmpty()
-    .withMessage('Subject is required')
-    .isIn(['Mathematics', 'Physics', 'Computer Science', 'Chemistry', 'Biology', 'Engineering', 'Business', 'Arts', 'Other'])
-    .withMessage('Invalid subject'),
-  body('semester')
-    .notEmpty()
-    .withMessage('Semester is required'),
-  body('type')
-    .notEmpty()
-    .withMessage('Type is required')
-    .isIn(['Notes', 'Exam Paper', 'Study Guide', 'Assignment', 'Presentation', 'Other'])
-    .withMessage('Invalid type')
-];
-
-// @route   GET /api/resources
-// @desc    Get all resources with filtering and search
-// @access  Public
-router.get('/', async (req, res) => {
-  try {
-    const {
-      search,
-      subject,
-      semester,
-      type,
-      author,
-      sortBy = 'createdAt',
-      order = 'desc',
-      page = 1,
-      limit = 12
-    } = req.query;
-
-    let query = { isActive: true };
-    let sort = {};
-
-    // Build search query
-    if (search && search.trim()) {
-      query.$or = [
-        { title: { $regex: search.trim(), $options: 'i' } },
-        { description: { $regex: search.trim(), $options: 'i' } },
-        { tags: { $in: [new RegExp(search.trim(), 'i')] } }
-      ];
-    }
-
-    // Apply filters
-    if (subject && subject !== 'all') {
-      query.subject = subject;
-    }
-    if (semester && semester !== 'all') {
-      query.semester = semester;
-    }
-    if (type && type !== 'all') {
-      query.type = type;
-    }
-    if (author) {
-      query.author = author;
-    }
-
-    // Build sort object
-    switch (sortBy) {
-      case 'rating':
-        sort.averageRating = order === 'desc' ? -1 : 1;
-        sort.totalRatings = -1; // Secondary sort
-        break;
-      case 'downloads':
-        sort.downloadCount = order === 'desc' ? -1 : 1;
-        break;
-      case 'title':
-        sort.title = order === 'desc' ? -1 : 1;
-        break;
-      case 'views':
-        sort.views = order === 'desc' ? -1 : 1;
-        break;
-      default:
-        sort.createdAt = order === 'desc' ? -1 : 1;
-    }
-
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    // Execute query
-    const resources = await Resource.find(query)
-      .populate('author', 'name university major')
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .lean();
-
-    const total = await Resource.countDocuments(query);
-
-    res.json({
-      success: true,
-      data: {
-        resources,
-        pagination: {
-          current: parseInt(page),
-          total: Math.ceil(total / parseInt(limit)),
-          hasNext: skip + parseInt(limit) < total,
-          hasPrev: parseInt(page) > 1,
-          totalResources: total
-        }
-      }
-    });
-
-  } catch (error) {
-    console.error('Get resources error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while fetching resources'
-    });
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  feedback: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Version of the file the rating was given on
+  version: {
+    type: Number,
+    default: 1
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
-// @route   GET /api/resources/stats
-// @desc    Get resource statistics
-// @access  Public
-router.get('/stats', async (req, res) => {
-  try {
-    const totalResources = await Resource.countDocuments({ isActive: true });
-    const totalDownloads = await Resource.aggregate([
-      { $match: { isActive: true } },
-      { $group: { _id: null, total: { $sum: '$downloadCount' } } }
-    ]);
-    
-    const avgRating = await Resource.aggregate([
-      { $match: { isActive: true, totalRatings: { $gt: 0 } } },
-      { $group: { _id: null, avg: { $avg: '$averageRating' } } }
-    ]);
-
-    const subjectStats = await Resource.aggregate([
-      { $match: { isActive: true } },
-      { $group: { _id: '$subject', count: { $sum: 1 } } },
-      { $sort: { count: -1 } }
-    ]);
-
-    res.json({
-      success: true,
-      data: {
-        totalResources,
-        totalDownloads: totalDownloads[0]?.total || 0,
-        averageRating: Math.round((avgRating[0]?.avg || 0) * 10) / 10,
-        subjectDistribution: subjectStats
-      }
-    });
-
-  } catch (error) {
-    console.error('Get stats error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while fetching statistics'
-    });
+const resourceVersionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  filename: {
+    type: String,
+    required: true
+  },
+  originalName: {
+    type: String,
+    required: true
+  },
+  storage: {
+    type: String,
+    enum: ['local', 's3'],
+    default: 'local'
+  },
+  filePath: {
+    type: String,
+    required: true
+  },
+  sha256: {
+    type: String
+  },
+  fileSize: {
+    type: Number,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  changelog: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Versions cannot be downloaded or made current until the scan is clean
+  scanStatus: {
+    type: String,
+    enum: ['pending_scan', 'clean', 'quarantined'],
+    default: 'clean'
+  },
+  scanSignature: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
   }
-});
-
-// @route   GET /api/resources/top-rated
-// @desc    Get top-rated resources
-// @access  Public
-router.get('/top-rated', async (req, res) => {
-  try {
-    const limit = parseInt(req.query.limit) || 10;
-
-    const resources = await Resource.getTopRated(limit);
+}, { _id: false });
 
-    res.json({
-      success: true,
-      data: {
-        resources
-      }
-    });
-
-  } catch (error) {
-    console.error('Get top-rated resources error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while fetching top-rated resources'
-    });
+// Thumbnail and/or text snippet generated in the background for one version
+const resourcePreviewSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['ready', 'unsupported', 'failed'],
+    required: true
+  },
+  text: {
+    type: String
+  },
+  image: {
+    storage: String,
+    key: String,
+    width: Number,
+    height: Number
+  },
+  generatedAt: {
+    type: Date,
+    default: Date.now
   }
-});
-
-// @route   GET /api/resources/most-downloaded
-// @desc    Get most downloaded resources
-// @access  Public
-router.get('/most-downloaded', async (req, res) => {
-  try {
-    const limit = parseInt(req.query.limit) || 10;
-
-    const resources = await Resource.getPopular(limit);
-
-    res.json({
-      success: true,
-      data: {
-        resources
-      }
-    });
-
-  } catch (error) {
-    console.error('Get most downloaded resources error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while fetching most downloaded resources'
-    });
+}, { _id: false });
+
+const resourceSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    minlength: 2,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    required: [true, 'Description is required'],
+    trim: true,
+    minlength: 10,
+    maxlength: 1000
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    enum: SUBJECTS
+  },
+  semester: {
+    type: String,
+    required: [true, 'Semester is required'],
+    trim: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Type is required'],
+    enum: ['Notes', 'Exam Paper', 'Study Guide', 'Assignment', 'Presentation', 'Other']
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  filename: {
+    type: String,
+    required: true
+  },
+  originalName: {
+    type: String,
+    required: true
+  },
+  // Storage driver holding the file, and the file's key within it
+  storage: {
+    type: String,
+    enum: ['local', 's3'],
+    default: 'local'
+  },
+  filePath: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the file contents; missing on files uploaded before deduplication
+  sha256: {
+    type: String
+  },
+  fileSize: {
+    type: Number,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  courseCode: {
+    type: String,
+    uppercase: true,
+    match: [COURSE_CODE_PATTERN, 'Course code must look like CS101 or MATH2010']
+  },
+  visibility: {
+    type: String,
+    enum: ['public', 'institution-only'],
+    default: 'public'
+  },
+  institution: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Institution',
+    default: null
+  },
+  // The top-level file fields above always mirror this version
+  currentVersion: {
+    type: Number,
+    default: 1
+  },
+  versions: [resourceVersionSchema],
+  // Regenerated whenever the current version changes
+  preview: {
+    type: resourcePreviewSchema,
+    default: null
+  },
+  // Text extracted from the current file for full-text search; large, so
+  // only loaded when asked for
+  contentText: {
+    type: String,
+    select: false
+  },
+  contentIndexedVersion: {
+    type: Number,
+    default: null
+  },
+  // Copy of the active Rating documents and their average, kept in sync by
+  // services/ratings; rebuild with `npm run ratings:rebuild`
+  ratings: [resourceRatingSchema],
+  averageRating: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 5
+  },
+  totalRatings: {
+    type: Number,
+    default: 0
+  },
+  downloadCount: {
+    type: Number,
+    default: 0
+  },
+  views: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Set by moderators; hidden/removed resources are also inactive
+  moderationStatus: {
+    type: String,
+    enum: ['visible', 'hidden', 'removed'],
+    default: 'visible'
+  },
+  // Scan state of the first upload; pending and quarantined resources are
+  // also inactive
+  scanStatus: {
+    type: String,
+    enum: ['pending_scan', 'clean', 'quarantined'],
+    default: 'clean'
+  },
+  scanSignature: {
+    type: String
+  },
+  // When the resource first went live, which for uploads held for a scan is
+  // later than createdAt; saved search alerts match on this
+  publishedAt: {
+    type: Date
   }
+}, {
+  timestamps: true
 });
 
-// @route   GET /api/resources/recent
-// @desc    Get recent resources
-// @access  Public
-router.get('/recent', async (req, res) => {
-  try {
-    const limit = parseInt(req.query.limit) || 10;
+// Indexes for browsing, sorting and per-author listings
+resourceSchema.index({ isActive: 1, createdAt: -1 });
+resourceSchema.index({ isActive: 1, publishedAt: -1 });
+resourceSchema.index({ isActive: 1, averageRating: -1, totalRatings: -1 });
+resourceSchema.index({ isActive: 1, downloadCount: -1 });
+resourceSchema.index({ author: 1, isActive: 1 });
+resourceSchema.index({ subject: 1, semester: 1, type: 1 });
+resourceSchema.index({ tags: 1 });
+resourceSchema.index({ courseCode: 1 });
+resourceSchema.index({ visibility: 1, institution: 1 });
+resourceSchema.index({ sha256: 1 });
+resourceSchema.index({ 'versions.sha256': 1 });
+resourceSchema.index({ 'versions.scanStatus': 1 });
+
+// Full-text search; a match in the title counts far more than one deep in the file
+resourceSchema.index(
+  { title: 'text', tags: 'text', description: 'text', contentText: 'text' },
+  {
+    name: 'resource_text_search',
+    weights: { title: 10, tags: 6, description: 3, contentText: 1 },
+    default_language: 'english'
+  }
+);
 
-    const resources = await Resource.getRecent(limit);
+// Method to check whether a user (or an anonymous visitor) may see this resource
+resourceSchema.methods.isVisibleTo = function(user) {
+  if (this.visibility === 'public') {
+    return true;
+  }
 
-    res.json({
-      success: true,
-      data: {
-        resources
-      }
-    });
-
-  } catch (error) {
-    console.error('Get recent resources error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while fetching recent resources'
-    });
+  const authorId = this.author._id || this.author;
+  if (user && authorId.toString() === user.userId.toString()) {
+    return true;
   }
-});
 
-// @route   GET /api/resources/:id
-// @desc    Get single resource by ID
-// @access  Public
-router.get('/:id', async (req, res) => {
-  try {
-    const resource = await Resource.findById(req.params.id)
-      .populate('author', 'name university major email')
-      .populate('ratings.user', 'name university');
-
-    if (!resource || !resource.isActive) {
-      return res.status(404).json({
-        success: false,
-        message: 'Resource not found'
-      });
-    }
+  return Boolean(user && user.institution && this.institution &&
+    this.institution.toString() === user.institution.toString());
+};
 
-    // Increment view count
-    await resource.incrementViewCount();
+// File fields copied between the resource and its versions
+const VERSION_FILE_FIELDS = ['filename', 'originalName', 'storage', 'filePath', 'sha256', 'fileSize', 'mimeType'];
 
-    res.json({
-      success: true,
-      data: {
-        resource
-      }
-    });
-
-  } catch (error) {
-    console.error('Get resource error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while fetching resource'
-    });
+// Method to list every version, including the original upload of resources
+// created before version history existed
+resourceSchema.methods.getVersions = function() {
+  if (this.versions.length > 0) {
+    return this.versions;
   }
-});
 
-// @route   POST /api/resources
-// @desc    Upload new resource
-// @access  Private
-router.post('/', authenticateToken, upload.single('file'), uploadValidation, async (req, res) => {
-  try {
-    // Check validation errors
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      // Delete uploaded file if validation fails
-      if (req.file) {
-        fs.unlinkSync(req.file.path);
-      }
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array()
-      });
-    }
-
-    if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        message: 'No file uploaded'
-      });
-    }
-
-    const { title, description, subject, semester, type, tags } = req.body;
+  const original = { version: 1, createdAt: this.createdAt, uploadedBy: this.author._id || this.author };
+  VERSION_FILE_FIELDS.forEach(field => { original[field] = this[field]; });
+  return [original];
+};
 
-    // Process tags
-    let tagArray = [];
-    if (tags && tags.trim()) {
-      tagArray = tags.split(',')
-        .map(tag => tag.trim().toLowerCase())
-        .filter(tag => tag.length > 0)
-        .slice(0, 10); // Limit to 10 tags
-    }
+// Method to find a single version by number
+resourceSchema.methods.getVersion = function(version) {
+  return this.getVersions().find(v => v.version === Number(version)) || null;
+};
 
-    // Create new resource
-    const resource = new Resource({
-      title: title.trim(),
-      description: description.trim(),
-      subject,
-      semester,
-      type,
-      author: req.user.userId,
-      filename: req.file.filename,
-      originalName: req.file.originalname,
-      filePath: req.file.path,
-      fileSize: req.file.size,
-      mimeType: req.file.mimetype,
-      tags: tagArray
-    });
-
-    await resource.save();
-
-    // Populate author info for response
-    await resource.populate('author', 'name university major');
-
-    res.status(201).json({
-      success: true,
-      message: 'Resource uploaded successfully',
-      data: {
-        resource
-      }
-    });
+// Method to find a version that has passed the malware scan
+resourceSchema.methods.getReleasedVersion = function(version) {
+  const found = this.getVersion(version);
+  return found && (!found.scanStatus || found.scanStatus === 'clean') ? found : null;
+};
 
-  } catch (error) {
-    // Delete uploaded file if there was an error
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
-    }
-    
-    console.error('Upload resource error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while uploading resource'
-    });
+// Method to add a new file revision and make it current. `file` holds the
+// version file fields (filename, originalName, storage, filePath, ...) and
+// its scanStatus; revisions waiting for a scan become current once clean.
+resourceSchema.methods.addVersion = function(file, changelog, userId) {
+  if (this.versions.length === 0) {
+    this.versions.push(this.getVersions()[0]);
   }
-});
 
-// @route   PUT /api/resources/:id
-// @desc    Update resource (only by author)
-// @access  Private
-router.put('/:id', authenticateToken, async (req, res) => {
-  try {
-    const { title, description, subject, semester, type, tags } = req.body;
-
-    const resource = await Resource.findById(req.params.id);
-    if (!resource || !resource.isActive) {
-      return res.status(404).json({
-        success: false,
-        message: 'Resource not found'
-      });
-    }
+  const version = Math.max(...this.versions.map(v => v.version)) + 1;
+  this.versions.push({
+    ...file,
+    version,
+    changelog,
+    uploadedBy: userId
+  });
+
+  const added = this.versions[this.versions.length - 1];
+  if (added.scanStatus !== 'clean') {
+    return added;
+  }
+  return this.setCurrentVersion(version);
+};
 
-    // Check if user is the author
-    if (resource.author.toString() !== req.user.userId.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: 'You can only update your own resources'
-      });
-    }
+// Method to point the resource at an existing version
+resourceSchema.methods.setCurrentVersion = function(version) {
+  const target = this.getVersion(version);
+  if (!target) {
+    return null;
+  }
 
-    // Update fields if provided
-    if (title && title.trim()) resource.title = title.trim();
-    if (description && description.trim()) resource.description = description.trim();
-    if (subject) resource.subject = subject;
-    if (semester) resource.semester = semester;
-    if (type) resource.type = type;
-    
-    if (tags !== undefined) {
-      if (tags.trim()) {
-        resource.tags = tags.split(',')
-          .map(tag => tag.trim().toLowerCase())
-          .filter(tag => tag.length > 0)
-          .slice(0, 10);
-      } else {
-        resource.tags = [];
-      }
-    }
+  VERSION_FILE_FIELDS.forEach(field => { this[field] = target[field]; });
+  this.currentVersion = target.version;
+  return target;
+};
 
-    await resource.save();
-    await resource.populate('author', 'name university major');
+// Method to increment view count atomically
+resourceSchema.methods.incrementViewCount = function() {
+  this.views += 1;
+  return this.constructor.updateOne({ _id: this._id }, { $inc: { views: 1 } });
+};
 
-    res.json({
-      success: true,
-      message: 'Resource updated successfully',
-      data: {
-        resource
-      }
-    });
-
-  } catch (error) {
-    console.error('Update resource error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while updating resource'
-    });
-  }
-});
+// Method to increment download count atomically
+resourceSchema.methods.incrementDownloadCount = function() {
+  this.downloadCount += 1;
+  return this.constructor.updateOne({ _id: this._id }, { $inc: { downloadCount: 1 } });
+};
 
-// @route   DELETE /api/resources/:id
-// @desc    Delete resource (only by author)
-// @access  Private
-router.delete('/:id', authenticateToken, async (req, res) => {
-  try {
-    const resource = await Resource.findById(req.params.id);
-    if (!resource || !resource.isActive) {
-      return res.status(404).json({
-        success: false,
-        message: 'Resource not found'
-      });
-    }
+// Static method to build a query filter for resources visible to a user
+resourceSchema.statics.visibilityFilter = function(user) {
+  // Resources created before visibility existed have no field and are public
+  const visible = [{ visibility: { $ne: 'institution-only' } }];
 
-    // Check if user is the author
-    if (resource.author.toString() !== req.user.userId.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: 'You can only delete your own resources'
-      });
+  if (user) {
+    visible.push({ author: user.userId });
+    if (user.institution) {
+      visible.push({ visibility: 'institution-only', institution: user.institution });
     }
-
-    // Soft delete - mark as inactive
-    resource.isActive = false;
-    await resource.save();
-
-    res.json({
-      success: true,
-      message: 'Resource deleted successfully'
-    });
-
-  } catch (error) {
-    console.error('Delete resource error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while deleting resource'
-    });
   }
-});
 
-// @route   GET /api/resources/:id/download
-// @desc    Download resource
-// @access  Private
-router.get('/:id/download', authenticateToken, async (req, res) => {
-  try {
-    const resource = await Resource.findById(req.params.id);
-    if (!resource || !resource.isActive) {
-      return res.status(404).json({
-        success: false,
-        message: 'Resource not found'
-      });
-    }
+  return { $or: visible };
+};
 
-    // Check if file exists
-    if (!fs.existsSync(resource.filePath)) {
-      return res.status(404).json({
-        success: false,
-        message: 'File not found on server'
-      });
-    }
+// Static method to find an active resource visible to a user whose current
+// or earlier file has the given content hash
+resourceSchema.statics.findDuplicate = function(sha256, user = null) {
+  return this.findOne({
+    isActive: true,
+    $and: [
+      { $or: [{ sha256 }, { 'versions.sha256': sha256 }] },
+      this.visibilityFilter(user)
+    ]
+  }).select('title author createdAt');
+};
 
-    // Increment download count
-    await resource.incrementDownloadCount();
-
-    // Set appropriate headers
-    res.setHeader('Content-Disposition', `attachment; filename="${resource.originalName}"`);
-    res.setHeader('Content-Type', resource.mimeType);
-    res.setHeader('Content-Length', resource.fileSize);
-
-    // Stream file to client
-    const fileStream = fs.createReadStream(resource.filePath);
-    fileStream.on('error', (error) => {
-      console.error('File stream error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error streaming file'
-      });
-    });
-    
-    fileStream.pipe(res);
-
-  } catch (error) {
-    console.error('Download resource error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while downloading resource'
-    });
-  }
-});
+// Static method to get top-rated resources
+resourceSchema.statics.getTopRated = function(limit = 10, user = null) {
+  return this.find({ isActive: true, totalRatings: { $gt: 0 }, ...this.visibilityFilter(user) })
+    .populate('author', 'name university')
+    .sort({ averageRating: -1, totalRatings: -1 })
+    .limit(limit);
+};
 
-// @route   POST /api/resources/:id/rate
-// @desc    Rate a resource
-// @access  Private
-router.post('/:id/rate', authenticateToken, async (req, res) => {
-  try {
-    const { rating, feedback } = req.body;
-
-    if (!rating || rating < 1 || rating > 5) {
-      return res.status(400).json({
-        success: false,
-        message: 'Rating must be between 1 and 5'
-      });
-    }
+// Static method to get most downloaded resources
+resourceSchema.statics.getPopular = function(limit = 10, user = null) {
+  return this.find({ isActive: true, ...this.visibilityFilter(user) })
+    .populate('author', 'name university')
+    .sort({ downloadCount: -1 })
+    .limit(limit);
+};
 
-    const resource = await Resource.findById(req.params.id);
-    if (!resource || !resource.isActive) {
-      return res.status(404).json({
-        success: false,
-        message: 'Resource not found'
-      });
-    }
+// Static method to get most recent resources
+resourceSchema.statics.getRecent = function(limit = 10, user = null) {
+  return this.find({ isActive: true, ...this.visibilityFilter(user) })
+    .populate('author', 'name university')
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
 
-    // Check if user is trying to rate their own resource
-    if (resource.author.toString() === req.user.userId.toString()) {
-      return res.status(400).json({
-        success: false,
-        message: 'You cannot rate your own resource'
-      });
-    }
+// Static method to normalise a course code as typed ("cs 101", "CS-101")
+resourceSchema.statics.normalizeCourseCode = function(value) {
+  return String(value || '').toUpperCase().replace(/[\s-]+/g, '');
+};
 
-    // Add or update rating
-    await resource.addRating(req.user.userId, rating, feedback);
-    await resource.save();
+resourceSchema.statics.isValidCourseCode = function(value) {
+  return COURSE_CODE_PATTERN.test(value);
+};
 
-    res.json({
-      success: true,
-      message: 'Rating added successfully',
-      data: {
-        averageRating: resource.averageRating,
-        totalRatings: resource.totalRatings
-      }
-    });
-
-  } catch (error) {
-    console.error('Rate resource error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while rating resource'
-    });
-  }
-});
+// Ratings facet thresholds, as in "3 stars & up"
+const RATING_THRESHOLDS = [4, 3, 2, 1];
+
+// Static method to count matches per facet value in one aggregation.
+// `baseFilter` holds the search and access conditions; `facetFilters` maps
+// each facet to its selected condition. A facet's counts ignore its own
+// selection so the other values stay visible as alternatives.
+resourceSchema.statics.getFacets = async function(baseFilter, facetFilters = {}) {
+  const otherFilters = (facet) => {
+    const conditions = Object.keys(facetFilters)
+      .filter(name => name !== facet && facetFilters[name])
+      .map(name => facetFilters[name]);
+    return conditions.length > 0 ? [{ $match: this.find().cast(this, { $and: conditions }) }] : [];
+  };
+
+  const countBy = (facet, field) => [
+    ...otherFilters(facet),
+    { $group: { _id: field, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } }
+  ];
 
-// @route   GET /api/resources/my/uploads
-// @desc    Get current user's uploaded resources
-// @access  Private
-router.get('/my/uploads', authenticateToken, async (req, res) => {
-  try {
-    const { page = 1, limit = 10, sortBy = 'createdAt', order = 'desc' } = req.query;
-
-    let sort = {};
-    sort[sortBy] = order === 'desc' ? -1 : 1;
-
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    const resources = await Resource.find({ 
-      author: req.user.userId,
-      isActive: true 
-    })
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .populate('author', 'name university major');
-
-    const total = await Resource.countDocuments({ 
-      author: req.user.userId,
-      isActive: true 
-    });
-
-    res.json({
-      success: true,
-      data: {
-        resources,
-        pagination: {
-          current: parseInt(page),
-          total: Math.ceil(total / parseInt(limit)),
-          hasNext: skip + parseInt(limit) < total,
-          hasPrev: parseInt(page) > 1,
-          totalResources: total
-        }
+  const [result] = await this.aggregate([
+    { $match: this.find().cast(this, baseFilter) },
+    {
+      $facet: {
+        subject: countBy('subject', '$subject'),
+        semester: countBy('semester', '$semester'),
+        type: countBy('type', '$type'),
+        tags: [
+          ...otherFilters('tags'),
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: 20 }
+        ],
+        fileType: countBy('fileType', '$mimeType'),
+        rating: [
+          ...otherFilters('rating'),
+          { $match: { totalRatings: { $gt: 0 } } },
+          { $group: { _id: { $floor: '$averageRating' }, count: { $sum: 1 } } }
+        ]
       }
-    });
-
-  } catch (error) {
-    console.error('Get user uploads error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while fetching your uploads'
-    });
-  }
-});
-
-// Error handling middleware for multer
-router.use((error, req, res, next) => {
-  if (error instanceof multer.MulterError) {
-    if (error.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({
-        success: false,
-        message: 'File too large. Maximum size is 15MB.'
-      });
-    }
-    if (error.code === 'LIMIT_UNEXPECTED_FILE') {
-      return res.status(400).json({
-        success: false,
-        message: 'Unexpected file field.'
-      });
     }
-  }
-  
-  if (error.message.includes('Invalid file type')) {
-    return res.status(400).json({
-      success: false,
-      message: error.message
-    });
-  }
+  ]);
+
+  const values = (buckets, key) => buckets
+    .filter(bucket => bucket._id !== null && bucket._id !== undefined)
+    .map(bucket => ({ [key]: bucket._id, count: bucket.count }));
+
+  // Several mimetypes share a file type (jpg, png and gif are all images)
+  const fileTypes = {};
+  result.fileType.forEach(bucket => {
+    const group = fileTypeGroupOf(bucket._id);
+    fileTypes[group] = (fileTypes[group] || 0) + bucket.count;
+  });
+
+  return {
+    subject: values(result.subject, 'value'),
+    semester: values(result.semester, 'value'),
+    type: values(result.type, 'value'),
+    tags: values(result.tags, 'value'),
+    fileType: Object.keys(fileTypes)
+      .map(value => ({ value, count: fileTypes[value] }))
+      .sort((a, b) => b.count - a.count),
+    rating: RATING_THRESHOLDS.map(min => ({
+      min,
+      count: result.rating
+        .filter(bucket => bucket._id >= min)
+        .reduce((sum, bucket) => sum + bucket.count, 0)
+    }))
+  };
+};
 
-  next(error);
-});
+// Static method to autocomplete a partial query from titles, tags and course
+// codes of resources the user can see
+resourceSchema.statics.suggest = async function(prefix, user = null, limit = 8) {
+  const visible = this.find().cast(this, { isActive: true, ...this.visibilityFilter(user) });
+  const pattern = escapeRegex(prefix);
+  const code = this.normalizeCourseCode(prefix);
+
+  const [titles, tags, courseCodes] = await Promise.all([
+    // Any word of the title may start the match
+    this.find({ ...visible, title: { $regex: `(^|\\s)${pattern}`, $options: 'i' } })
+      .select('title')
+      .sort({ downloadCount: -1 })
+      .limit(limit)
+      .lean(),
+    this.aggregate([
+      { $match: { ...visible, tags: { $regex: `^${pattern}`, $options: 'i' } } },
+      { $unwind: '$tags' },
+      { $match: { tags: { $regex: `^${pattern}`, $options: 'i' } } },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit }
+    ]),
+    code
+      ? this.aggregate([
+        { $match: { ...visible, courseCode: { $regex: `^${escapeRegex(code)}` } } },
+        { $group: { _id: '$courseCode', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: limit }
+      ])
+      : []
+  ]);
+
+  return {
+    titles: titles.map(resource => ({ id: resource._id, title: resource.title })),
+    tags: tags.map(tag => ({ value: tag._id, count: tag.count })),
+    courseCodes: courseCodes.map(courseCode => ({ value: courseCode._id, count: courseCode.count }))
+  };
+};
+
+resourceSchema.statics.SUBJECTS = SUBJECTS;
 
-module.exports = router;
\ No newline at end of file
+module.exports = mongoose.model('Resource', resourceSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// The latest version of a resource each user has downloaded
+const resourceDownloadSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  resource: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resource',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  downloadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+resourceDownloadSchema.index({ user: 1, resource: 1 }, { unique: true });
+resourceDownloadSchema.index({ resource: 1 });
+
+// Static method to record a download, keeping the highest version seen
+resourceDownloadSchema.statics.record = function(userId, resourceId, version) {
+  return this.findOneAndUpdate(
+    { user: userId, resource: resourceId },
+    { $max: { version }, $set: { downloadedAt: new Date() } },
+    { upsert: true, new: true }
+  );
+};
+
+// Static method to list a user's downloads that have a newer version available
+resourceDownloadSchema.statics.findOutdatedForUser = async function(userId) {
+  const downloads = await this.find({ user: userId })
+    .populate({
+      path: 'resource',
+      select: 'title currentVersion versions.version versions.changelog versions.createdAt isActive author',
+      populate: { path: 'author', select: 'name' }
+    })
+    .sort({ downloadedAt: -1 });
+
+  return downloads.filter(d => d.resource && d.resource.isActive && d.resource.currentVersion > d.version);
+};
+
+module.exports = mongoose.model('ResourceDownload', resourceDownloadSchema);
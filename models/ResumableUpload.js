@@ -0,0 +1,76 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+
+// A tus upload in progress. Bytes are appended to tempPath until offset
+// reaches length, then the file is published as a resource.
+const resumableUploadSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  length: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  offset: {
+    type: Number,
+    default: 0
+  },
+  // Decoded Upload-Metadata: filename, filetype and the resource fields
+  metadata: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  filename: {
+    type: String,
+    required: true
+  },
+  tempPath: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['uploading', 'completed', 'failed'],
+    default: 'uploading'
+  },
+  resource: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resource',
+    default: null
+  },
+  error: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+resumableUploadSchema.index({ user: 1, status: 1 });
+resumableUploadSchema.index({ expiresAt: 1 });
+
+// Method to check whether the upload can still receive bytes
+resumableUploadSchema.methods.isExpired = function() {
+  return this.expiresAt <= new Date();
+};
+
+// Static method to delete abandoned uploads and their partial files
+resumableUploadSchema.statics.removeExpired = async function() {
+  const expired = await this.find({ expiresAt: { $lte: new Date() } }).select('tempPath');
+
+  for (const upload of expired) {
+    await fs.promises.rm(upload.tempPath, { force: true });
+    await this.deleteOne({ _id: upload._id });
+  }
+
+  return expired.length;
+};
+
+module.exports = mongoose.model('ResumableUpload', resumableUploadSchema);
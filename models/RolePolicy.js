@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+const rolePolicySchema = new mongoose.Schema({
+  role: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  requireTwoFactor: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to check whether a role must use two-factor authentication
+rolePolicySchema.statics.requiresTwoFactor = async function(role) {
+  const policy = await this.findOne({ role }).lean();
+  return Boolean(policy && policy.requireTwoFactor);
+};
+
+module.exports = mongoose.model('RolePolicy', rolePolicySchema);
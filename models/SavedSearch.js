@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+const FREQUENCIES = ['instant', 'daily', 'weekly'];
+
+// How long after a check the next one is due, per frequency; instant
+// searches are checked on every matcher run
+const FREQUENCY_INTERVALS = {
+  instant: 0,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+// Failed checks are retried after 5 minutes, doubling up to a day
+const RETRY_BASE_DELAY = 5 * 60 * 1000;
+const RETRY_MAX_DELAY = 24 * 60 * 60 * 1000;
+
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // GET /api/resources parameters, as strings
+  query: {
+    search: String,
+    subject: String,
+    semester: String,
+    type: { type: String },
+    tag: String,
+    fileType: String,
+    minRating: String
+  },
+  frequency: {
+    type: String,
+    enum: FREQUENCIES,
+    default: 'daily'
+  },
+  // Unsubscribed searches stay saved but stop sending alerts
+  subscribed: {
+    type: Boolean,
+    default: true
+  },
+  // Resources published after this have not been matched yet
+  lastCheckedAt: {
+    type: Date,
+    default: Date.now
+  },
+  nextRunAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastMatchedAt: {
+    type: Date,
+    default: null
+  },
+  lastMatchCount: {
+    type: Number,
+    default: 0
+  },
+  // Checks that failed in a row since the last successful one
+  failureCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ subscribed: 1, nextRunAt: 1 });
+
+// Method to move the schedule on after a check that covered up to `checkedAt`
+savedSearchSchema.methods.markChecked = function(checkedAt) {
+  this.lastCheckedAt = checkedAt;
+  this.nextRunAt = new Date(checkedAt.getTime() + FREQUENCY_INTERVALS[this.frequency]);
+  this.failureCount = 0;
+};
+
+// Method to retry a failed check later, so a search that keeps failing does
+// not stay at the front of the queue. lastCheckedAt is kept, so the retry
+// still covers everything published since the last successful check.
+savedSearchSchema.methods.markFailed = function(failedAt) {
+  this.failureCount += 1;
+  const delay = Math.min(RETRY_BASE_DELAY * 2 ** (this.failureCount - 1), RETRY_MAX_DELAY);
+  this.nextRunAt = new Date(failedAt.getTime() + delay);
+};
+
+savedSearchSchema.statics.FREQUENCIES = FREQUENCIES;
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
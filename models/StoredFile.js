@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// A file stored once per unique content. Resources and their versions point
+// at it by hash; refCount tracks how many do.
+const storedFileSchema = new mongoose.Schema({
+  sha256: {
+    type: String,
+    required: true,
+    unique: true,
+    match: /^[a-f0-9]{64}$/
+  },
+  storage: {
+    type: String,
+    enum: ['local', 's3'],
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  mimeType: {
+    type: String
+  },
+  refCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Malware scan verdict for the content, shared by every resource using it
+  scanStatus: {
+    type: String,
+    enum: ['pending', 'clean', 'infected'],
+    default: 'pending'
+  },
+  signature: {
+    type: String
+  },
+  scannedAt: {
+    type: Date
+  },
+  // Set when an admin overrides an infected verdict
+  releasedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to build the storage key for a content hash
+storedFileSchema.statics.keyFor = function(sha256) {
+  return `blobs/${sha256.slice(0, 2)}/${sha256}`;
+};
+
+// Static method to add a reference to existing content; returns null when the
+// content has not been stored yet
+storedFileSchema.statics.addReference = function(sha256) {
+  return this.findOneAndUpdate({ sha256 }, { $inc: { refCount: 1 } }, { new: true });
+};
+
+// Static method to drop a reference; returns the record once nothing
+// references it any more, so the caller can delete the bytes
+storedFileSchema.statics.releaseReference = async function(sha256) {
+  const storedFile = await this.findOneAndUpdate(
+    { sha256, refCount: { $gt: 0 } },
+    { $inc: { refCount: -1 } },
+    { new: true }
+  );
+
+  if (!storedFile || storedFile.refCount > 0) {
+    return null;
+  }
+
+  const deleted = await this.findOneAndDelete({ _id: storedFile._id, refCount: 0 });
+  return deleted;
+};
+
+module.exports = mongoose.model('StoredFile', storedFileSchema);
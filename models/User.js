@@ -1,599 +1,358 @@
-const express = require('express');
-const User = require('../models/User');
-const Resource = require('../models/Resource');
-const Rating = require('../models/Rating');
-const { authenticateToken, authorize } = require('../middleware/auth');
-
-const router = express.Router();
-
-// @route   GET /api/users/dashboard
-// @desc    Get dashboard statistics for current user
-// @access  Private
-router.get('/dashboard', authenticateToken, async (req, res) => {
-  try {
-    const userId = req.user.userId;
-
-    // Get user's uploaded resources count
-    const uploadedCount = await Resource.countDocuments({
-      author: userId,
-      isActive: true
-    });
-
-    // Get user's total downloads received
-    const uploadedResources = await Resource.find({
-      author: userId,
-      isActive: true
-    }).select('downloadCount');
-
-    const totalDownloads = uploadedResources.reduce((sum, resource) => sum + resource.downloadCount, 0);
-
-    // Get user's ratings given
-    const ratingsGiven = await Rating.countDocuments({
-      user: userId,
-      isActive: true
-    });
-
-    // Get user's average rating received
-    const avgRatingResult = await Resource.aggregate([
-      { $match: { author: userId, isActive: true, totalRatings: { $gt: 0 } } },
-      { $group: { _id: null, avgRating: { $avg: '$averageRating' } } }
-    ]);
-
-    const averageRating = avgRatingResult.length > 0 ? Math.round(avgRatingResult[0].avgRating * 10) / 10 : 0;
-
-    // Get recent activities
-    const recentUploads = await Resource.find({
-      author: userId,
-      isActive: true
-    })
-      .sort({ createdAt: -1 })
-      .limit(5)
-      .select('title subject createdAt downloadCount averageRating');
-
-    const recentRatings = await Rating.find({
-      user: userId,
-      isActive: true
-    })
-      .populate('resource', 'title subject author')
-      .populate({
-        path: 'resource',
-        populate: {
-          path: 'author',
-          select: 'name'
-        }
-      })
-      .sort({ createdAt: -1 })
-      .limit(5);
-
-    // Get subject distribution of user's uploads
-    const subjectStats = await Resource.aggregate([
-      { $match: { author: userId, isActive: true } },
-      { $group: { _id: '$subject', count: { $sum: 1 } } },
-      { $sort: { count: -1 } }
-    ]);
-
-    res.json({
-      success: true,
-      data: {
-        stats: {
-          uploadedResources: uploadedCount,
-          totalDownloads,
-          ratingsGiven,
-          averageRating
-        },
-        recentActivity: {
-          uploads: recentUploads,
-          ratings: recentRatings
-        },
-        subjectDistribution: subjectStats
-      }
-    });
-
-  } catch (error) {
-    console.error('Dashboard error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while fetching dashboard data'
-    });
-  }
-});
-
-// @route   GET /api/users/my-resources
-// @desc    Get current user's uploaded resources with detailed stats
-// @access  Private
-router.get('/my-resources', authenticateToken, async (req, res) => {
-  try {
-    const { page = 1, limit = 10, sortBy = 'createdAt', order = 'desc' } = req.query;
-
-    let sort = {};
-    switch (sortBy) {
-      case 'downloads':
-        sort.downloadCount = order === 'desc' ? -1 : 1;
-        break;
-      case 'rating':
-        sort.averageRating = order === 'desc' ? -1 : 1;
-        break;
-      case 'title':
-        sort.title = order === 'desc' ? -1 : 1;
-        break;
-      case 'views':
-        sort.views = order === 'desc' ? -1 : 1;
-        break;
-      default:
-        sort.createdAt = order === 'desc' ? -1 : 1;
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const totp = require('../utils/totp');
+
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const userSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: 100
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
+  },
+  password: {
+    type: String,
+    required: [true, 'Password is required'],
+    minlength: [6, 'Password must be at least 6 characters'],
+    select: false
+  },
+  role: {
+    type: String,
+    enum: ['student', 'moderator', 'admin'],
+    default: 'student'
+  },
+  university: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  major: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  institution: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Institution',
+    default: null
+  },
+  year: {
+    type: String,
+    trim: true
+  },
+  reputation: {
+    type: Number,
+    default: 0
+  },
+  uploadedResources: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resource'
+  }],
+  downloadedResources: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resource'
+  }],
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationTokenHash: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  passwordResetTokenHash: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret generated during setup, promoted to `secret` once confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused single-use recovery codes
+    recoveryCodeHashes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted TOTP time step, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date
     }
-
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    const resources = await Resource.find({
-      author: req.user.userId,
-      isActive: true
-    })
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .populate('author', 'name university major');
-
-    const total = await Resource.countDocuments({
-      author: req.user.userId,
-      isActive: true
-    });
-
-    // Get overall stats for user's resources
-    const overallStats = await Resource.aggregate([
-      { $match: { author: req.user.userId, isActive: true } },
-      {
-        $group: {
-          _id: null,
-          totalResources: { $sum: 1 },
-          totalDownloads: { $sum: '$downloadCount' },
-          totalViews: { $sum: '$views' },
-          averageRating: { $avg: '$averageRating' },
-          totalRatings: { $sum: '$totalRatings' }
-        }
-      }
-    ]);
-
-    res.json({
-      success: true,
-      data: {
-        resources,
-        pagination: {
-          current: parseInt(page),
-          total: Math.ceil(total / parseInt(limit)),
-          hasNext: skip + parseInt(limit) < total,
-          hasPrev: parseInt(page) > 1,
-          totalResources: total
-        },
-        overallStats: overallStats[0] || {
-          totalResources: 0,
-          totalDownloads: 0,
-          totalViews: 0,
-          averageRating: 0,
-          totalRatings: 0
-        }
-      }
-    });
-
-  } catch (error) {
-    console.error('Get my resources error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while fetching your resources'
-    });
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  lastLogin: {
+    type: Date
+  },
+  // Set by admins; the user must reset their password before logging in
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+  suspension: {
+    until: {
+      type: Date,
+      default: null
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date
+    }
+  },
+  ban: {
+    at: {
+      type: Date,
+      default: null
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  // Subjects whose new uploads are summarized in the weekly digest
+  followedSubjects: {
+    type: [String],
+    default: []
+  },
+  digest: {
+    // Users opt out in their preferences or with the link in each digest
+    weekly: {
+      type: Boolean,
+      default: true
+    },
+    lastSentAt: {
+      type: Date,
+      default: null
+    },
+    // Digests cover the week up to this date; null means not scheduled yet
+    nextRunAt: {
+      type: Date,
+      default: null
+    },
+    // Sends that failed in a row; each retry waits longer
+    failureCount: {
+      type: Number,
+      default: 0
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
   }
+}, {
+  timestamps: true
 });
 
-// @route   GET /api/users/subjects
-// @desc    Get all available subjects
-// @access  Public
-router.get('/subjects', async (req, res) => {
-  try {
-    const subjects = await Resource.distinct('subject', { isActive: true });
-    
-    // Get resource count per subject
-    const subjectStats = await Resource.aggregate([
-      { $match: { isActive: true } },
-      { $group: { _id: '$subject', count: { $sum: 1 } } },
-      { $sort: { count: -1 } }
-    ]);
-
-    res.json({
-      success: true,
-      data: {
-        subjects,
-        stats: subjectStats
-      }
-    });
-
-  } catch (error) {
-    console.error('Get subjects error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while fetching subjects'
-    });
+// Indexes for leaderboards and listings
+userSchema.index({ reputation: -1 });
+userSchema.index({ isActive: 1, createdAt: -1 });
+userSchema.index({ institution: 1 });
+userSchema.index({ 'suspension.until': 1 });
+userSchema.index({ 'ban.at': 1 });
+userSchema.index({ 'digest.weekly': 1, 'digest.nextRunAt': 1 });
+userSchema.index({ emailVerificationTokenHash: 1 }, { sparse: true });
+userSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
+
+// Hash password before saving
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) {
+    return next();
   }
-});
 
-// @route   GET /api/users/semesters
-// @desc    Get all available semesters
-// @access  Public
-router.get('/semesters', async (req, res) => {
   try {
-    const semesters = await Resource.distinct('semester', { isActive: true });
-    
-    // Get resource count per semester
-    const semesterStats = await Resource.aggregate([
-      { $match: { isActive: true } },
-      { $group: { _id: '$semester', count: { $sum: 1 } } },
-      { $sort: { _id: 1 } }
-    ]);
-
-    res.json({
-      success: true,
-      data: {
-        semesters,
-        stats: semesterStats
-      }
-    });
-
+    const salt = await bcrypt.genSalt(12);
+    this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
+    next();
   } catch (error) {
-    console.error('Get semesters error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while fetching semesters'
-    });
+    next(error);
   }
 });
 
-// @route   GET /api/users/resource-types
-// @desc    Get all available resource types
-// @access  Public
-router.get('/resource-types', async (req, res) => {
-  try {
-    const types = await Resource.distinct('type', { isActive: true });
-    
-    // Get resource count per type
-    const typeStats = await Resource.aggregate([
-      { $match: { isActive: true } },
-      { $group: { _id: '$type', count: { $sum: 1 } } },
-      { $sort: { count: -1 } }
-    ]);
-
-    res.json({
-      success: true,
-      data: {
-        types,
-        stats: typeStats
-      }
-    });
-
-  } catch (error) {
-    console.error('Get resource types error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while fetching resource types'
-    });
+// Method to compare a candidate password with the stored hash
+userSchema.methods.comparePassword = function(candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Method to issue a new email verification token; returns the plain token
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationTokenHash = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS);
+  return token;
+};
+
+// Method to issue a single-use password reset token; returns the plain token
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetTokenHash = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MS);
+  return token;
+};
+
+// Method to check a TOTP code against the active (or pending) secret, rejecting
+// codes from a time step that was already used. Requires the 2FA fields to be
+// selected; the caller must save the user afterwards.
+userSchema.methods.verifyTwoFactorCode = function(code, { pending = false } = {}) {
+  const secret = pending ? this.twoFactor.pendingSecret : this.twoFactor.secret;
+  if (!secret) {
+    return false;
   }
-});
-
-// @route   GET /api/users/profile/:userId
-// @desc    Get public user profile
-// @access  Public
-router.get('/profile/:userId', async (req, res) => {
-  try {
-    const user = await User.findById(req.params.userId).select('-password');
-    
-    if (!user || !user.isActive) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-
-    // Get user's public stats
-    const resourceCount = await Resource.countDocuments({
-      author: req.params.userId,
-      isActive: true
-    });
-
-    const totalDownloads = await Resource.aggregate([
-      { $match: { author: user._id, isActive: true } },
-      { $group: { _id: null, total: { $sum: '$downloadCount' } } }
-    ]);
-
-    const avgRating = await Resource.aggregate([
-      { $match: { author: user._id, isActive: true, totalRatings: { $gt: 0 } } },
-      { $group: { _id: null, avg: { $avg: '$averageRating' } } }
-    ]);
 
-    const ratingsGiven = await Rating.countDocuments({
-      user: req.params.userId,
-      isActive: true
-    });
-
-    // Get user's recent resources (public)
-    const recentResources = await Resource.find({
-      author: req.params.userId,
-      isActive: true
-    })
-      .sort({ createdAt: -1 })
-      .limit(5)
-      .select('title subject type createdAt averageRating downloadCount');
-
-    // Get subject distribution
-    const subjectStats = await Resource.aggregate([
-      { $match: { author: user._id, isActive: true } },
-      { $group: { _id: '$subject', count: { $sum: 1 } } },
-      { $sort: { count: -1 } }
-    ]);
-
-    res.json({
-      success: true,
-      data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          university: user.university,
-          major: user.major,
-          year: user.year,
-          joinedDate: user.createdAt
-        },
-        stats: {
-          resourcesUploaded: resourceCount,
-          totalDownloads: totalDownloads[0]?.total || 0,
-          averageRating: Math.round((avgRating[0]?.avg || 0) * 10) / 10,
-          ratingsGiven
-        },
-        recentResources,
-        subjectDistribution: subjectStats
-      }
-    });
-
-  } catch (error) {
-    console.error('Get user profile error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while fetching user profile'
-    });
+  const step = totp.verifyCode(secret, code);
+  if (step === null || (this.twoFactor.lastUsedStep && step <= this.twoFactor.lastUsedStep)) {
+    return false;
   }
-});
-
-// @route   GET /api/users/leaderboard
-// @desc    Get user leaderboard
-// @access  Public
-router.get('/leaderboard', async (req, res) => {
-  try {
-    const { type = 'uploads', limit = 10 } = req.query;
-
-    let pipeline = [];
 
-    switch (type) {
-      case 'downloads':
-        pipeline = [
-          {
-            $lookup: {
-              from: 'resources',
-              localField: '_id',
-              foreignField: 'author',
-              as: 'resources'
-            }
-          },
-          {
-            $match: {
-              isActive: true,
-              'resources.isActive': true
-            }
-          },
-          {
-            $addFields: {
-              totalDownloads: {
-                $sum: {
-                  $map: {
-                    input: '$resources',
-                    as: 'resource',
-                    in: { $cond: [{ $eq: ['$resource.isActive', true] }, '$resource.downloadCount', 0] }
-                  }
-                }
-              }
-            }
-          },
-          { $sort: { totalDownloads: -1 } },
-          { $limit: parseInt(limit) }
-        ];
-        break;
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
 
-      case 'ratings':
-        pipeline = [
-          {
-            $lookup: {
-              from: 'resources',
-              localField: '_id',
-              foreignField: 'author',
-              as: 'resources'
-            }
-          },
-          {
-            $match: {
-              isActive: true,
-              'resources.isActive': true
-            }
-          },
-          {
-            $addFields: {
-              averageRating: {
-                $avg: {
-                  $map: {
-                    input: { $filter: { input: '$resources', cond: { $and: [{ $eq: ['$this.isActive', true] }, { $gt: ['$this.totalRatings', 0] }] } } },
-                    as: 'resource',
-                    in: '$resource.averageRating'
-                  }
-                }
-              },
-              totalRatings: {
-                $sum: {
-                  $map: {
-                    input: { $filter: { input: '$resources', cond: { $eq: ['$this.isActive', true] } } },
-                    as: 'resource',
-                    in: '$resource.totalRatings'
-                  }
-                }
-              }
-            }
-          },
-          { $match: { totalRatings: { $gte: 3 } } }, // Only users with at least 3 ratings
-          { $sort: { averageRating: -1, totalRatings: -1 } },
-          { $limit: parseInt(limit) }
-        ];
-        break;
-
-      default: // uploads
-        pipeline = [
-          {
-            $lookup: {
-              from: 'resources',
-              localField: '_id',
-              foreignField: 'author',
-              as: 'resources'
-            }
-          },
-          {
-            $match: {
-              isActive: true
-            }
-          },
-          {
-            $addFields: {
-              resourceCount: {
-                $size: { $filter: { input: '$resources', cond: { $eq: ['$this.isActive', true] } } }
-              }
-            }
-          },
-          { $match: { resourceCount: { $gt: 0 } } },
-          { $sort: { resourceCount: -1 } },
-          { $limit: parseInt(limit) }
-        ];
-    }
-
-    // Add projection to limit returned fields
-    pipeline.push({
-      $project: {
-        name: 1,
-        university: 1,
-        major: 1,
-        createdAt: 1,
-        resourceCount: 1,
-        totalDownloads: 1,
-        averageRating: 1,
-        totalRatings: 1
-      }
-    });
+// Method to generate fresh recovery codes; returns the plain codes once
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
 
-    const leaderboard = await User.aggregate(pipeline);
+  this.twoFactor.recoveryCodeHashes = codes.map(code => hashToken(code));
+  return codes;
+};
 
-    res.json({
-      success: true,
-      data: {
-        leaderboard,
-        type,
-        total: leaderboard.length
-      }
-    });
+// Method to consume a recovery code; returns true if it was valid and unused
+userSchema.methods.useRecoveryCode = function(code) {
+  const codeHash = hashToken(String(code || '').trim().toLowerCase());
+  const hashes = this.twoFactor.recoveryCodeHashes || [];
 
-  } catch (error) {
-    console.error('Get leaderboard error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while fetching leaderboard'
-    });
+  if (!hashes.includes(codeHash)) {
+    return false;
   }
-});
 
-// @route   GET /api/users/:id
-// @desc    Get user details (admin only or own profile)
-// @access  Private
-router.get('/:id', authenticateToken, async (req, res) => {
-  try {
-    // Check if user is requesting their own profile or is admin
-    if (req.params.id !== req.user.userId && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. You can only view your own detailed profile.'
-      });
-    }
+  this.twoFactor.recoveryCodeHashes = hashes.filter(h => h !== codeHash);
+  return true;
+};
 
-    const user = await User.findById(req.params.id).select('-password');
-
-    if (!user || !user.isActive) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-
-    // Get detailed stats
-    const resourceStats = await Resource.aggregate([
-      { $match: { author: user._id, isActive: true } },
-      {
-        $group: {
-          _id: null,
-          totalResources: { $sum: 1 },
-          totalDownloads: { $sum: '$downloadCount' },
-          totalViews: { $sum: '$views' },
-          averageRating: { $avg: '$averageRating' },
-          totalRatings: { $sum: '$totalRatings' }
-        }
-      }
-    ]);
-
-    const ratingStats = await Rating.aggregate([
-      { $match: { user: user._id, isActive: true } },
-      {
-        $group: {
-          _id: null,
-          totalRatingsGiven: { $sum: 1 },
-          averageRatingGiven: { $avg: '$rating' }
-        }
-      }
-    ]);
+// Institution membership only counts once the email address is proven, and
+// not at all for a deactivated institution (when `institution` is populated)
+userSchema.methods.getVerifiedInstitution = function() {
+  const institution = this.institution;
+  if (!this.emailVerified || !institution || institution.isActive === false) {
+    return null;
+  }
+  return institution._id || institution;
+};
+
+// Whether the account is currently suspended (suspensions lapse on their own)
+userSchema.methods.isSuspended = function() {
+  return Boolean(this.suspension && this.suspension.until && this.suspension.until > new Date());
+};
+
+// Why this account may not sign in right now, or null if it may
+userSchema.methods.getAccessRestriction = function() {
+  if (this.ban && this.ban.at) {
+    return {
+      type: 'banned',
+      message: `This account has been permanently banned${this.ban.reason ? `: ${this.ban.reason}` : ''}`
+    };
+  }
 
-    res.json({
-      success: true,
-      data: {
-        user,
-        stats: {
-          resources: resourceStats[0] || {
-            totalResources: 0,
-            totalDownloads: 0,
-            totalViews: 0,
-            averageRating: 0,
-            totalRatings: 0
-          },
-          ratings: ratingStats[0] || {
-            totalRatingsGiven: 0,
-            averageRatingGiven: 0
-          }
-        }
-      }
-    });
+  if (this.isSuspended()) {
+    return {
+      type: 'suspended',
+      message: `This account is suspended until ${this.suspension.until.toISOString()}${this.suspension.reason ? `: ${this.suspension.reason}` : ''}`,
+      suspendedUntil: this.suspension.until
+    };
+  }
 
-  } catch (error) {
-    console.error('Get user error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while fetching user details'
-    });
+  return null;
+};
+
+// Never expose the password hash or pending tokens in API responses
+userSchema.methods.toJSON = function() {
+  const user = this.toObject();
+  delete user.password;
+  delete user.emailVerificationTokenHash;
+  delete user.emailVerificationExpires;
+  delete user.passwordResetTokenHash;
+  delete user.passwordResetExpires;
+  if (user.twoFactor) {
+    delete user.twoFactor.secret;
+    delete user.twoFactor.pendingSecret;
+    delete user.twoFactor.recoveryCodeHashes;
+    delete user.twoFactor.lastUsedStep;
   }
-});
+  return user;
+};
+
+// Static method to find a user by email (case-insensitive)
+userSchema.statics.findByEmail = function(email) {
+  return this.findOne({ email: String(email || '').toLowerCase().trim() });
+};
+
+// Static method to find a user by an unexpired email verification token
+userSchema.statics.findByEmailVerificationToken = function(token) {
+  return this.findOne({
+    emailVerificationTokenHash: hashToken(String(token)),
+    emailVerificationExpires: { $gt: new Date() }
+  });
+};
 
-// @route   GET /api/users/test
-// @desc    Test route
-// @access  Public
-router.get('/test', (req, res) => {
-  res.json({ 
-    success: true,
-    message: 'User routes working!' 
+// Static method to find a user by an unexpired password reset token
+userSchema.statics.findByPasswordResetToken = function(token) {
+  return this.findOne({
+    passwordResetTokenHash: hashToken(String(token)),
+    passwordResetExpires: { $gt: new Date() }
   });
-});
+};
 
-module.exports = router;
\ No newline at end of file
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,735 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
+const AuditEvent = require('../models/AuditEvent');
+const Resource = require('../models/Resource');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { escapeRegex } = require('../utils/text');
+const { sendMail } = require('../services/mail');
+const { forcedPasswordResetEmail } = require('../services/mail/messages');
+const { diffFields, recordAudit } = require('../services/audit');
+const { releaseQuarantine } = require('../services/scanning');
+
+const router = express.Router();
+
+router.use(authenticateToken, authorize('admin'));
+
+const MAX_SUSPENSION_DAYS = 365;
+
+// Fields admins see in user listings
+const ADMIN_USER_FIELDS = 'name email role university institution emailVerified reputation isActive lastLogin suspension ban passwordResetRequired twoFactor.enabled createdAt';
+
+// Load the user an admin action targets. Sends the error response and returns
+// null when the id is bad, the user is missing, or it is the admin themselves.
+const loadTargetUser = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  if (req.params.id === req.user.userId.toString()) {
+    res.status(400).json({
+      success: false,
+      message: 'You cannot perform this action on your own account'
+    });
+    return null;
+  }
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+const requireReason = (req, res) => {
+  const reason = String(req.body.reason || '').trim();
+  if (reason.length < 3) {
+    res.status(400).json({
+      success: false,
+      message: 'A reason is required'
+    });
+    return null;
+  }
+  return reason.slice(0, 500);
+};
+
+// @route   GET /api/admin/users
+// @desc    Search and page through users
+// @access  Private (admin)
+router.get('/users', async (req, res) => {
+  try {
+    const { search, role, status, page = 1, limit = 20, sortBy = 'createdAt', order = 'desc' } = req.query;
+
+    const query = {};
+
+    if (search && search.trim()) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      query.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    if (role) {
+      query.role = role;
+    }
+
+    const now = new Date();
+    switch (status) {
+      case 'banned':
+        query['ban.at'] = { $ne: null };
+        break;
+      case 'suspended':
+        query['suspension.until'] = { $gt: now };
+        break;
+      case 'active':
+        query['ban.at'] = null;
+        query.$and = [{ $or: [{ 'suspension.until': null }, { 'suspension.until': { $lte: now } }] }];
+        break;
+    }
+
+    const sort = {};
+    sort[['name', 'email', 'reputation', 'lastLogin'].includes(sortBy) ? sortBy : 'createdAt'] = order === 'desc' ? -1 : 1;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const users = await User.find(query)
+      .select(ADMIN_USER_FIELDS)
+      .populate('institution', 'name')
+      .sort(sort)
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / parseInt(limit)),
+          hasNext: skip + parseInt(limit) < total,
+          hasPrev: parseInt(page) > 1,
+          totalUsers: total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching users'
+    });
+  }
+});
+
+// @route   GET /api/admin/users/:id
+// @desc    Get a user's account details
+// @access  Private (admin)
+router.get('/users/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const user = await User.findById(req.params.id)
+      .select(ADMIN_USER_FIELDS)
+      .populate('institution', 'name domains')
+      .populate('suspension.by', 'name')
+      .populate('ban.by', 'name');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const activeSessions = await Session.countDocuments({
+      user: user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        activeSessions
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching user'
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Change a user's role
+// @access  Private (admin)
+router.put('/users/:id/role', async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!User.schema.path('role').enumValues.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${User.schema.path('role').enumValues.join(', ')}`
+      });
+    }
+
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.role.change',
+      targetType: 'user',
+      targetId: user._id,
+      diff: diffFields({ role: previousRole }, { role }, ['role'])
+    });
+
+    res.json({
+      success: true,
+      message: `${user.name} is now ${role === 'admin' ? 'an' : 'a'} ${role}`,
+      data: {
+        user: { id: user._id, name: user.name, email: user.email, role: user.role }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin change role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing role'
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:id/suspend
+// @desc    Suspend a user for a number of days or until a date, with a reason
+// @access  Private (admin)
+router.post('/users/:id/suspend', async (req, res) => {
+  try {
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    const { days, until } = req.body;
+    const suspendedUntil = until
+      ? new Date(until)
+      : new Date(Date.now() + (parseFloat(days) || 0) * 24 * 60 * 60 * 1000);
+
+    const maxUntil = Date.now() + MAX_SUSPENSION_DAYS * 24 * 60 * 60 * 1000;
+    if (isNaN(suspendedUntil.getTime()) || suspendedUntil <= new Date() || suspendedUntil > maxUntil) {
+      return res.status(400).json({
+        success: false,
+        message: `Suspension must end in the future and within ${MAX_SUSPENSION_DAYS} days; use a ban for permanent removal`
+      });
+    }
+
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    user.suspension = {
+      until: suspendedUntil,
+      reason,
+      by: req.user.userId,
+      createdAt: new Date()
+    };
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.suspend',
+      targetType: 'user',
+      targetId: user._id,
+      metadata: { until: suspendedUntil, reason }
+    });
+
+    res.json({
+      success: true,
+      message: `${user.name} is suspended until ${suspendedUntil.toISOString()}`,
+      data: {
+        suspension: user.suspension
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin suspend user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while suspending user'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/users/:id/suspend
+// @desc    Lift a suspension early
+// @access  Private (admin)
+router.delete('/users/:id/suspend', async (req, res) => {
+  try {
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    if (!user.isSuspended()) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not suspended'
+      });
+    }
+
+    const previousUntil = user.suspension.until;
+    user.suspension.until = null;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.unsuspend',
+      targetType: 'user',
+      targetId: user._id,
+      diff: { 'suspension.until': { from: previousUntil, to: null } }
+    });
+
+    res.json({
+      success: true,
+      message: `Suspension lifted for ${user.name}`
+    });
+
+  } catch (error) {
+    console.error('Admin lift suspension error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while lifting suspension'
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:id/ban
+// @desc    Permanently ban a user and end all their sessions and tokens
+// @access  Private (admin)
+router.post('/users/:id/ban', async (req, res) => {
+  try {
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    if (user.ban && user.ban.at) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already banned'
+      });
+    }
+
+    user.ban = { at: new Date(), reason, by: req.user.userId };
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, 'revoked');
+    await ApiToken.updateMany({ user: user._id, revokedAt: null }, { $set: { revokedAt: new Date() } });
+
+    await recordAudit(req, {
+      action: 'user.ban',
+      targetType: 'user',
+      targetId: user._id,
+      metadata: { reason }
+    });
+
+    res.json({
+      success: true,
+      message: `${user.name} has been banned`,
+      data: {
+        ban: user.ban
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin ban user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while banning user'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/users/:id/ban
+// @desc    Lift a ban
+// @access  Private (admin)
+router.delete('/users/:id/ban', async (req, res) => {
+  try {
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    if (!user.ban || !user.ban.at) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not banned'
+      });
+    }
+
+    const previousBan = { at: user.ban.at, reason: user.ban.reason };
+    user.ban = { at: null };
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.unban',
+      targetType: 'user',
+      targetId: user._id,
+      metadata: { bannedAt: previousBan.at, banReason: previousBan.reason }
+    });
+
+    res.json({
+      success: true,
+      message: `Ban lifted for ${user.name}`
+    });
+
+  } catch (error) {
+    console.error('Admin unban user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while lifting ban'
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:id/force-password-reset
+// @desc    Sign a user out everywhere and require a new password
+// @access  Private (admin)
+router.post('/users/:id/force-password-reset', async (req, res) => {
+  try {
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    user.passwordResetRequired = true;
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, 'revoked');
+
+    await recordAudit(req, {
+      action: 'user.password.force-reset',
+      targetType: 'user',
+      targetId: user._id
+    });
+
+    // The reset already applies; a mail failure must not hide that from the
+    // admin, and the user can still ask for a new link via forgot-password
+    sendMail(forcedPasswordResetEmail(user, resetToken)).catch(error => {
+      console.error('Forced password reset email error:', error);
+    });
+
+    res.json({
+      success: true,
+      message: `${user.name} has been signed out and must reset their password`
+    });
+
+  } catch (error) {
+    console.error('Admin force password reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while forcing password reset'
+    });
+  }
+});
+
+// @route   GET /api/admin/quarantine
+// @desc    List resources with uploads the malware scanner flagged
+// @access  Private (admin)
+router.get('/quarantine', async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    // Resources removed by moderation no longer need a decision
+    const query = {
+      'versions.scanStatus': 'quarantined',
+      moderationStatus: { $ne: 'removed' }
+    };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const resources = await Resource.find(query)
+      .select('title author isActive moderationStatus scanStatus currentVersion versions createdAt')
+      .populate('author', 'name email')
+      .populate('versions.uploadedBy', 'name email')
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Resource.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        resources: resources.map(resource => ({
+          id: resource._id,
+          title: resource.title,
+          author: resource.author,
+          isActive: resource.isActive,
+          moderationStatus: resource.moderationStatus,
+          scanStatus: resource.scanStatus,
+          currentVersion: resource.currentVersion,
+          quarantinedVersions: resource.versions
+            .filter(v => v.scanStatus === 'quarantined')
+            .map(v => ({
+              version: v.version,
+              originalName: v.originalName,
+              fileSize: v.fileSize,
+              mimeType: v.mimeType,
+              sha256: v.sha256,
+              signature: v.scanSignature,
+              uploadedBy: v.uploadedBy,
+              createdAt: v.createdAt
+            }))
+        })),
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / parseInt(limit)),
+          hasNext: skip + parseInt(limit) < total,
+          hasPrev: parseInt(page) > 1,
+          totalResources: total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get quarantine error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching quarantined uploads'
+    });
+  }
+});
+
+// @route   POST /api/admin/quarantine/:id/versions/:version/release
+// @desc    Mark a quarantined file as a false positive and publish it
+// @access  Private (admin)
+router.post('/quarantine/:id/versions/:version/release', async (req, res) => {
+  try {
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    const resource = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Resource.findById(req.params.id)
+      : null;
+    const version = resource ? resource.getVersion(req.params.version) : null;
+    if (!version || version.scanStatus !== 'quarantined') {
+      return res.status(404).json({
+        success: false,
+        message: 'Quarantined version not found'
+      });
+    }
+
+    // The verdict belongs to the content, so every upload of it is released
+    const storedFile = await releaseQuarantine(version.sha256, req.user.userId);
+    if (!storedFile) {
+      return res.status(404).json({
+        success: false,
+        message: 'The quarantined file is no longer stored'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'resource.quarantine.release',
+      targetType: 'resource',
+      targetId: resource._id,
+      metadata: {
+        version: version.version,
+        sha256: version.sha256,
+        signature: version.scanSignature,
+        reason
+      }
+    });
+
+    res.json({
+      success: true,
+      message: `Version ${version.version} of "${resource.title}" has been released`
+    });
+
+  } catch (error) {
+    console.error('Admin release quarantine error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while releasing quarantined upload'
+    });
+  }
+});
+
+const AUDIT_FILTERS = ['action', 'actor', 'actorEmail', 'targetType', 'targetId', 'ip', 'from', 'to'];
+
+// Build an audit event query from request filters. Returns { error } for bad ids or dates.
+const buildAuditQuery = ({ action, actor, actorEmail, targetType, targetId, ip, from, to }) => {
+  const query = {};
+
+  if (action) {
+    // "resource.*" matches every resource event
+    query.action = action.endsWith('.*')
+      ? new RegExp(`^${escapeRegex(action.slice(0, -1))}`)
+      : action;
+  }
+  if (actorEmail) query.actorEmail = String(actorEmail).toLowerCase().trim();
+  if (targetType) query.targetType = targetType;
+  if (ip) query.ip = ip;
+
+  for (const [field, value] of Object.entries({ actor, targetId })) {
+    if (value) {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return { error: `Invalid ${field} id` };
+      }
+      query[field] = value;
+    }
+  }
+
+  if (from || to) {
+    query.createdAt = {};
+    for (const [bound, value] of [['$gte', from], ['$lte', to]]) {
+      if (!value) continue;
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        return { error: `Invalid date: ${value}` };
+      }
+      query.createdAt[bound] = date;
+    }
+  }
+
+  return { query };
+};
+
+const AUDIT_CSV_COLUMNS = ['createdAt', 'action', 'actor', 'actorEmail', 'targetType', 'targetId', 'ip', 'userAgent', 'diff', 'metadata'];
+
+// Quote a CSV cell; cells that a spreadsheet would run as a formula get a leading quote
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+
+  let text = value instanceof Date
+    ? value.toISOString()
+    : typeof value === 'object' && !(value instanceof mongoose.Types.ObjectId)
+      ? JSON.stringify(value)
+      : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// @route   GET /api/admin/audit-events
+// @desc    Search the audit log
+// @access  Private (admin)
+router.get('/audit-events', async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+
+    const { query, error } = buildAuditQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const events = await AuditEvent.find(query)
+      .populate('actor', 'name email role')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await AuditEvent.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / parseInt(limit)),
+          hasNext: skip + parseInt(limit) < total,
+          hasPrev: parseInt(page) > 1,
+          totalEvents: total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get audit events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching audit events'
+    });
+  }
+});
+
+// @route   GET /api/admin/audit-events/export
+// @desc    Download the filtered audit log as CSV
+// @access  Private (admin)
+router.get('/audit-events/export', async (req, res) => {
+  try {
+    const { query, error } = buildAuditQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'audit.export',
+      metadata: {
+        filters: Object.fromEntries(AUDIT_FILTERS.filter(key => req.query[key]).map(key => [key, String(req.query[key])]))
+      }
+    });
+
+    const filename = `audit-events-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.write(AUDIT_CSV_COLUMNS.join(',') + '\r\n');
+
+    // Stream rows so large exports do not have to fit in memory
+    const cursor = AuditEvent.find(query).sort({ createdAt: -1 }).lean().cursor();
+    for await (const event of cursor) {
+      if (res.destroyed) break;
+      const row = AUDIT_CSV_COLUMNS.map(column => csvCell(event[column])).join(',') + '\r\n';
+      if (!res.write(row)) {
+        await new Promise(resolve => {
+          res.once('drain', resolve);
+          res.once('close', resolve);
+        });
+      }
+    }
+    await cursor.close();
+
+    res.end();
+
+  } catch (error) {
+    console.error('Admin export audit events error:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting audit events'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,74 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { authenticateToken } = require('../middleware/auth');
+const Session = require('../models/Session');
+const Institution = require('../models/Institution');
+const RolePolicy = require('../models/RolePolicy');
+const { authenticateToken, authenticateWithScope, sendAccessRestriction } = require('../middleware/auth');
+const {
+  hashToken,
+  parseRefreshToken,
+  issueTokens,
+  rotateTokens,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge
+} = require('../utils/tokens');
+const { sendMail } = require('../services/mail');
+const { verificationEmail, passwordResetEmail } = require('../services/mail/messages');
+const { recordAudit } = require('../services/audit');
+const twoFactorRoutes = require('./twoFactor');
 
 const router = express.Router();
 
+router.use('/2fa', twoFactorRoutes);
+
+// Audit a rejected login attempt
+const auditLoginFailure = (req, { email, user, reason }) => recordAudit(req, {
+  action: 'auth.login.failure',
+  actor: user ? user._id : null,
+  actorEmail: user ? user.email : String(email || '').toLowerCase().trim(),
+  targetType: 'user',
+  targetId: user ? user._id : null,
+  metadata: { reason }
+});
+
+// Record the login, start a session and build the login response body
+const completeLogin = async (user, req, method = 'password') => {
+  user.lastLogin = new Date();
+  await user.save();
+
+  // Start a new session with short-lived access and refresh tokens
+  const { token, refreshToken, expiresIn, session } = await issueTokens(user, req);
+
+  await recordAudit(req, {
+    action: 'auth.login.success',
+    actor: user._id,
+    actorEmail: user.email,
+    targetType: 'user',
+    targetId: user._id,
+    metadata: { method, sessionId: session._id }
+  });
+  const twoFactorSetupRequired = !user.twoFactor.enabled && await RolePolicy.requiresTwoFactor(user.role);
+
+  return {
+    success: true,
+    message: 'Login successful',
+    data: {
+      token,
+      refreshToken,
+      expiresIn,
+      twoFactorSetupRequired,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        emailVerified: user.emailVerified
+      }
+    }
+  };
+};
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -22,32 +85,52 @@ router.post('/register', async (req, res) => {
       });
     }
 
+    // Assign the institution that owns the email domain; membership becomes
+    // effective once the address is verified
+    const institution = await Institution.findByEmail(email);
+
     // Create new user
     const user = new User({
       name: name.trim(),
       email: email.toLowerCase().trim(),
       password,
+      institution: institution ? institution._id : null,
+      university: institution ? institution.name : undefined
     });
 
+    const verificationToken = user.createEmailVerificationToken();
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, email: user.email, name: user.name },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '24h' }
-    );
+    await recordAudit(req, {
+      action: 'auth.register',
+      actor: user._id,
+      actorEmail: user.email,
+      targetType: 'user',
+      targetId: user._id,
+      metadata: { institution: user.institution }
+    });
+
+    // Registration succeeds even if the mail server is down; users can resend
+    sendMail(verificationEmail(user, verificationToken)).catch(error => {
+      console.error('Verification email error:', error);
+    });
+
+    // Start a new session with short-lived access and refresh tokens
+    const { token, refreshToken, expiresIn } = await issueTokens(user, req);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       data: {
         token,
+        refreshToken,
+        expiresIn,
         user: {
           id: user._id,
           name: user.name,
           email: user.email,
-          role: user.role
+          role: user.role,
+          emailVerified: user.emailVerified
         }
       }
     });
@@ -87,6 +170,7 @@ router.post('/login', async (req, res) => {
     // Find user and include password for comparison
     const user = await User.findByEmail(email).select('+password');
     if (!user) {
+      await auditLoginFailure(req, { email, reason: 'unknown-email' });
       return res.status(400).json({
         success: false,
         message: 'Invalid email or password'
@@ -96,32 +180,41 @@ router.post('/login', async (req, res) => {
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await auditLoginFailure(req, { user, reason: 'bad-password' });
       return res.status(400).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, email: user.email, name: user.name },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '24h' }
-    );
+    const restriction = user.getAccessRestriction();
+    if (restriction) {
+      await auditLoginFailure(req, { user, reason: restriction.type });
+      return sendAccessRestriction(res, restriction);
+    }
 
-    res.json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        token,
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role
+    if (user.passwordResetRequired) {
+      await auditLoginFailure(req, { user, reason: 'password-reset-required' });
+      return res.status(403).json({
+        success: false,
+        message: 'An administrator requires you to reset your password. Check your email for a reset link or use "Forgot password".',
+        passwordResetRequired: true
+      });
+    }
+
+    // Second step: the password only buys a short-lived challenge token
+    if (user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication code required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: signTwoFactorChallenge(user)
         }
-      }
-    });
+      });
+    }
+
+    res.json(await completeLogin(user, req));
 
   } catch (error) {
     console.error('Login error:', error);
@@ -132,10 +225,75 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/login/2fa
+// @desc    Exchange a login challenge token and TOTP (or recovery) code for tokens
+// @access  Public
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const userId = verifyTwoFactorChallenge(challengeToken);
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge expired, please sign in again'
+      });
+    }
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Authentication code or recovery code is required'
+      });
+    }
+
+    const user = await User.findById(userId)
+      .select('+twoFactor.secret +twoFactor.recoveryCodeHashes +twoFactor.lastUsedStep');
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge expired, please sign in again'
+      });
+    }
+
+    const restriction = user.getAccessRestriction();
+    if (restriction) {
+      await auditLoginFailure(req, { user, reason: restriction.type });
+      return sendAccessRestriction(res, restriction);
+    }
+
+    const verified = code
+      ? user.verifyTwoFactorCode(code)
+      : user.useRecoveryCode(recoveryCode);
+
+    if (!verified) {
+      await auditLoginFailure(req, { user, reason: code ? 'bad-2fa-code' : 'bad-recovery-code' });
+      return res.status(400).json({
+        success: false,
+        message: code ? 'Invalid authentication code' : 'Invalid recovery code'
+      });
+    }
+
+    const result = await completeLogin(user, req, code ? 'totp' : 'recovery-code');
+    if (recoveryCode) {
+      result.data.recoveryCodesRemaining = user.twoFactor.recoveryCodeHashes.length;
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
 // @route   GET /api/auth/profile
 // @desc    Get current user profile
 // @access  Private
-router.get('/profile', authenticateToken, async (req, res) => {
+router.get('/profile', authenticateWithScope('profile:read'), async (req, res) => {
   try {
     const user = await User.findById(req.user.userId);
     if (!user) {
@@ -153,6 +311,8 @@ router.get('/profile', authenticateToken, async (req, res) => {
           name: user.name,
           email: user.email,
           role: user.role,
+          emailVerified: user.emailVerified,
+          institution: user.institution,
           university: user.university,
           major: user.major,
           year: user.year,
@@ -170,4 +330,382 @@ router.get('/profile', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh', async (req, res) => {
+  try {
+    const parsed = parseRefreshToken(req.body.refreshToken);
+    if (!parsed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid refresh token is required'
+      });
+    }
+
+    const session = await Session.findById(parsed.sessionId);
+    if (!session || !session.isUsable()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired or revoked, please log in again'
+      });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive) {
+      await session.revoke();
+      return res.status(401).json({
+        success: false,
+        message: 'User no longer exists'
+      });
+    }
+
+    const restriction = user.getAccessRestriction();
+    if (restriction) {
+      return sendAccessRestriction(res, restriction);
+    }
+
+    // A well-formed token that doesn't match the current hash has already been
+    // rotated, so someone is replaying it: kill the whole session. The check
+    // and the swap are one atomic update so concurrent refreshes cannot both pass.
+    const tokens = await rotateTokens(session, user, req, hashToken(parsed.secret));
+    if (!tokens) {
+      await session.revoke('reuse-detected');
+      console.warn(`Refresh token reuse detected for session ${session._id}`);
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token reuse detected, session revoked'
+      });
+    }
+    const { token, refreshToken, expiresIn } = tokens;
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      data: {
+        token,
+        refreshToken,
+        expiresIn
+      }
+    });
+
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during token refresh'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the current session
+// @access  Private
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await Session.updateOne(
+      { _id: req.user.sessionId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Revoke every session of the current user
+// @access  Private
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user.userId, 'logout-all');
+
+    res.json({
+      success: true,
+      message: 'Logged out of all sessions',
+      data: {
+        revokedSessions: result.modifiedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions of the current user
+// @access  Private
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user.userId);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          id: session._id,
+          userAgent: session.userAgent,
+          ipAddress: session.ipAddress,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          current: session._id.toString() === req.user.sessionId.toString()
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user.userId,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('revoked');
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking session'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with a verification token
+// @access  Public
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required'
+      });
+    }
+
+    const user = await User.findByEmailVerificationToken(token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    // Institutions may have been added since the user registered
+    if (!user.institution) {
+      const institution = await Institution.findByEmail(user.email);
+      if (institution) {
+        user.institution = institution._id;
+        user.university = user.university || institution.name;
+      }
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationTokenHash = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during email verification'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Private
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email address is already verified'
+      });
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+    await sendMail(verificationEmail(user, verificationToken));
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending verification email'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const user = await User.findByEmail(email);
+    if (user && user.isActive) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save();
+
+      // Not awaited: a mail failure must not reveal that the account exists
+      sendMail(passwordResetEmail(user, resetToken)).catch(error => {
+        console.error('Password reset email error:', error);
+      });
+    }
+
+    // Same response whether or not the account exists
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting password reset'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token and new password are required'
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters'
+      });
+    }
+
+    const user = await User.findByPasswordResetToken(token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    user.password = password;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    user.passwordResetRequired = false;
+    // Receiving the reset email proves ownership of the address
+    user.emailVerified = true;
+    await user.save();
+
+    // Sign out every device that may be using the old password
+    await Session.revokeAllForUser(user._id, 'revoked');
+
+    await recordAudit(req, {
+      action: 'auth.password.reset',
+      actor: user._id,
+      actorEmail: user.email,
+      targetType: 'user',
+      targetId: user._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully, please log in with your new password'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting password'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
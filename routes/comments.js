@@ -0,0 +1,348 @@
+const express = require('express');
+const Resource = require('../models/Resource');
+const Comment = require('../models/Comment');
+const { authenticateToken, optionalAuthWithScope, requireVerifiedEmail } = require('../middleware/auth');
+const { ModerationError, fileReport } = require('../services/moderation');
+const { diffFields, recordAudit } = require('../services/audit');
+const {
+  CommentError,
+  createComment,
+  editComment,
+  setPinned,
+  deleteComment,
+  formatComment,
+  listThreads
+} = require('../services/comments');
+
+// Mounted at /api/resources/:id/comments
+const router = express.Router({ mergeParams: true });
+
+const canReadResources = optionalAuthWithScope('resources:read');
+
+// The resource being discussed, if it is live and the user can see it
+const findResource = async (req) => {
+  const resource = await Resource.findById(req.params.id).catch(() => null);
+  if (!resource || !resource.isActive || !resource.isVisibleTo(req.user)) {
+    return null;
+  }
+  return resource;
+};
+
+// A comment on the resource that moderators have not hidden
+const findComment = async (req, resource) => {
+  const comment = await Comment.findOne({ _id: req.params.commentId, resource: resource._id }).catch(() => null);
+  return comment && comment.isActive ? comment : null;
+};
+
+const sendNotFound = (res, what) => res.status(404).json({
+  success: false,
+  message: `${what} not found`
+});
+
+const sendCommentError = (res, error) => res.status(error.status).json({
+  success: false,
+  message: error.message
+});
+
+// @route   GET /api/resources/:id/comments
+// @desc    Question threads on a resource with their replies
+// @access  Public
+router.get('/', canReadResources, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const pageNumber = Math.max(1, parseInt(page) || 1);
+    const pageSize = Math.min(50, Math.max(1, parseInt(limit) || 20));
+
+    const resource = await findResource(req);
+    if (!resource) {
+      return sendNotFound(res, 'Resource');
+    }
+
+    const { threads, total } = await listThreads(resource, {
+      page: pageNumber,
+      limit: pageSize,
+      viewerId: req.user ? req.user.userId : null
+    });
+
+    res.json({
+      success: true,
+      data: {
+        threads,
+        // Whether the viewer wrote the resource, and so may pin comments
+        canPin: Boolean(req.user) && resource.author.toString() === req.user.userId.toString(),
+        pagination: {
+          current: pageNumber,
+          total: Math.ceil(total / pageSize),
+          hasNext: pageNumber * pageSize < total,
+          hasPrev: pageNumber > 1,
+          totalThreads: total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching comments'
+    });
+  }
+});
+
+// @route   POST /api/resources/:id/comments
+// @desc    Ask a question, or reply with { parent }
+// @access  Private
+router.post('/', authenticateToken, requireVerifiedEmail, async (req, res) => {
+  try {
+    const { body, parent } = req.body;
+
+    const resource = await findResource(req);
+    if (!resource) {
+      return sendNotFound(res, 'Resource');
+    }
+
+    const comment = await createComment({ resource, user: req.user, body, parentId: parent });
+
+    await recordAudit(req, {
+      action: 'comment.create',
+      targetType: 'comment',
+      targetId: comment._id,
+      metadata: { resource: resource._id, parent: comment.parent }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: parent ? 'Reply posted' : 'Question posted',
+      data: {
+        comment: formatComment(await comment.populate('author', 'name'), req.user.userId)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof CommentError) {
+      return sendCommentError(res, error);
+    }
+
+    console.error('Create comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while posting comment'
+    });
+  }
+});
+
+// @route   PUT /api/resources/:id/comments/:commentId
+// @desc    Edit your comment; the previous text is kept in its history
+// @access  Private
+router.put('/:commentId', authenticateToken, async (req, res) => {
+  try {
+    const resource = await findResource(req);
+    if (!resource) {
+      return sendNotFound(res, 'Resource');
+    }
+
+    const comment = await findComment(req, resource);
+    if (!comment) {
+      return sendNotFound(res, 'Comment');
+    }
+
+    const before = comment.body;
+    await editComment({ resource, comment, user: req.user, body: req.body.body });
+
+    await recordAudit(req, {
+      action: 'comment.update',
+      targetType: 'comment',
+      targetId: comment._id,
+      diff: diffFields({ body: before }, { body: comment.body }, ['body'])
+    });
+
+    res.json({
+      success: true,
+      message: 'Comment updated',
+      data: {
+        comment: formatComment(await comment.populate('author', 'name'), req.user.userId)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof CommentError) {
+      return sendCommentError(res, error);
+    }
+
+    console.error('Update comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating comment'
+    });
+  }
+});
+
+// @route   DELETE /api/resources/:id/comments/:commentId
+// @desc    Delete your comment
+// @access  Private
+router.delete('/:commentId', authenticateToken, async (req, res) => {
+  try {
+    const resource = await findResource(req);
+    if (!resource) {
+      return sendNotFound(res, 'Resource');
+    }
+
+    const comment = await findComment(req, resource);
+    if (!comment || comment.deletedAt) {
+      return sendNotFound(res, 'Comment');
+    }
+
+    if (comment.author.toString() !== req.user.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete your own comments'
+      });
+    }
+
+    await deleteComment(comment);
+
+    await recordAudit(req, {
+      action: 'comment.delete',
+      targetType: 'comment',
+      targetId: comment._id,
+      metadata: { resource: resource._id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Comment deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting comment'
+    });
+  }
+});
+
+// @route   GET /api/resources/:id/comments/:commentId/history
+// @desc    Earlier versions of an edited comment, oldest first
+// @access  Public
+router.get('/:commentId/history', canReadResources, async (req, res) => {
+  try {
+    const resource = await findResource(req);
+    if (!resource) {
+      return sendNotFound(res, 'Resource');
+    }
+
+    const comment = await findComment(req, resource);
+    if (!comment || comment.deletedAt) {
+      return sendNotFound(res, 'Comment');
+    }
+
+    res.json({
+      success: true,
+      data: {
+        body: comment.body,
+        editedAt: comment.editedAt,
+        edits: comment.edits
+      }
+    });
+
+  } catch (error) {
+    console.error('Get comment history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching comment history'
+    });
+  }
+});
+
+// Pinning is the same request either way round
+const pinHandler = (pinned) => async (req, res) => {
+  try {
+    const resource = await findResource(req);
+    if (!resource) {
+      return sendNotFound(res, 'Resource');
+    }
+
+    const comment = await findComment(req, resource);
+    if (!comment) {
+      return sendNotFound(res, 'Comment');
+    }
+
+    await setPinned({ resource, comment, user: req.user, pinned });
+
+    res.json({
+      success: true,
+      message: pinned ? 'Comment pinned' : 'Comment unpinned',
+      data: { pinnedAt: comment.pinnedAt }
+    });
+
+  } catch (error) {
+    if (error instanceof CommentError) {
+      return sendCommentError(res, error);
+    }
+
+    console.error('Pin comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while pinning comment'
+    });
+  }
+};
+
+// @route   POST /api/resources/:id/comments/:commentId/pin
+// @desc    Pin a question or answer to the top (resource author only)
+// @access  Private
+router.post('/:commentId/pin', authenticateToken, pinHandler(true));
+
+// @route   DELETE /api/resources/:id/comments/:commentId/pin
+// @desc    Unpin a comment (resource author only)
+// @access  Private
+router.delete('/:commentId/pin', authenticateToken, pinHandler(false));
+
+// @route   POST /api/resources/:id/comments/:commentId/report
+// @desc    Report a comment to the moderators
+// @access  Private
+router.post('/:commentId/report', authenticateToken, async (req, res) => {
+  try {
+    const { reason, details } = req.body;
+
+    const resource = await findResource(req);
+    if (!resource) {
+      return sendNotFound(res, 'Resource');
+    }
+
+    const comment = await findComment(req, resource);
+    if (!comment) {
+      return sendNotFound(res, 'Comment');
+    }
+
+    await fileReport({
+      targetType: 'comment',
+      targetId: comment._id,
+      reporterId: req.user.userId,
+      reason,
+      details
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Thank you, the comment has been reported to the moderators'
+    });
+
+  } catch (error) {
+    if (error instanceof ModerationError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Report comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reporting comment'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,74 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Resource = require('../models/Resource');
+const User = require('../models/User');
+const { sendResourceFile } = require('../services/downloads');
+const { verifyDownloadUrl } = require('../utils/signedUrls');
+
+const router = express.Router();
+
+// @route   GET /files/:resourceId/:filename
+// @desc    Download a file through a signed link from POST /api/resources/:id/download-link
+// @access  Signed URL (bound to the user it was issued to)
+router.get('/:resourceId/:filename', async (req, res) => {
+  try {
+    const { resourceId } = req.params;
+
+    const link = mongoose.Types.ObjectId.isValid(resourceId)
+      ? verifyDownloadUrl(resourceId, req.query)
+      : null;
+
+    if (!link) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid download link'
+      });
+    }
+
+    if (link.expired) {
+      return res.status(410).json({
+        success: false,
+        message: 'Download link has expired; request a new one'
+      });
+    }
+
+    // The link stops working if the user it was issued to loses access
+    const user = mongoose.Types.ObjectId.isValid(link.userId)
+      ? await User.findById(link.userId)
+      : null;
+    if (!user || !user.isActive || user.getAccessRestriction()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid download link'
+      });
+    }
+
+    const resource = await Resource.findById(resourceId);
+    const viewer = { userId: user._id, institution: user.getVerifiedInstitution() };
+    if (!resource || !resource.isActive || !resource.isVisibleTo(viewer)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resource not found'
+      });
+    }
+
+    const file = resource.getReleasedVersion(link.version);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    await sendResourceFile(req, res, { resource, file, userId: user._id });
+
+  } catch (error) {
+    console.error('Signed download error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while downloading resource'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,188 @@
+const express = require('express');
+const Institution = require('../models/Institution');
+const User = require('../models/User');
+const { authenticateToken, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Normalize a domains payload given as an array or comma-separated string
+const parseDomains = (domains) => {
+  const list = Array.isArray(domains) ? domains : String(domains || '').split(',');
+  return [...new Set(list
+    .map(domain => String(domain).trim().toLowerCase().replace(/^@/, ''))
+    .filter(domain => domain.length > 0))];
+};
+
+// Matches emails on any of the domains or their subdomains
+const domainPattern = (domains) => new RegExp(`@(.+\\.)?(${domains.map(d => d.replace(/\./g, '\\.')).join('|')})$`, 'i');
+
+// Bring membership in line with an institution's domains: users whose email
+// no longer matches lose it, unlinked users whose email now matches gain it.
+// An inactive institution has no members. Returns { linked, unlinked }.
+const syncMembers = async (institution) => {
+  if (!institution.isActive) {
+    const unlinked = await User.updateMany(
+      { institution: institution._id },
+      { $set: { institution: null } }
+    );
+    return { linked: 0, unlinked: unlinked.modifiedCount };
+  }
+
+  const pattern = domainPattern(institution.domains);
+  const unlinked = await User.updateMany(
+    { institution: institution._id, email: { $not: pattern } },
+    { $set: { institution: null } }
+  );
+  const linked = await User.updateMany(
+    { institution: null, email: pattern },
+    { $set: { institution: institution._id } }
+  );
+
+  return { linked: linked.modifiedCount, unlinked: unlinked.modifiedCount };
+};
+
+// @route   GET /api/institutions
+// @desc    List active institutions
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const institutions = await Institution.find({ isActive: true })
+      .select('name domains')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        institutions
+      }
+    });
+
+  } catch (error) {
+    console.error('Get institutions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching institutions'
+    });
+  }
+});
+
+// @route   POST /api/institutions
+// @desc    Create an institution with its allowed email domains
+// @access  Private (admin)
+router.post('/', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    const { name, domains } = req.body;
+    const domainList = parseDomains(domains);
+
+    if (!name || !name.trim() || domainList.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name and at least one email domain are required'
+      });
+    }
+
+    const institution = await Institution.create({
+      name: name.trim(),
+      domains: domainList
+    });
+
+    // Link existing users whose email belongs to one of the new domains
+    const { linked } = await syncMembers(institution);
+
+    res.status(201).json({
+      success: true,
+      message: 'Institution created successfully',
+      data: {
+        institution,
+        linkedUsers: linked
+      }
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'One of these domains already belongs to another institution'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Create institution error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating institution'
+    });
+  }
+});
+
+// @route   PUT /api/institutions/:id
+// @desc    Update an institution's name, domains or active flag
+// @access  Private (admin)
+router.put('/:id', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    const { name, domains, isActive } = req.body;
+
+    const institution = await Institution.findById(req.params.id);
+    if (!institution) {
+      return res.status(404).json({
+        success: false,
+        message: 'Institution not found'
+      });
+    }
+
+    if (name && name.trim()) institution.name = name.trim();
+    if (domains !== undefined) {
+      const domainList = parseDomains(domains);
+      if (domainList.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'At least one email domain is required'
+        });
+      }
+      institution.domains = domainList;
+    }
+    if (typeof isActive === 'boolean') institution.isActive = isActive;
+
+    await institution.save();
+
+    // Removed domains and deactivation must take institution-only access away
+    const { linked, unlinked } = await syncMembers(institution);
+
+    res.json({
+      success: true,
+      message: 'Institution updated successfully',
+      data: {
+        institution,
+        linkedUsers: linked,
+        unlinkedUsers: unlinked
+      }
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'One of these domains already belongs to another institution'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Update institution error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating institution'
+    });
+  }
+});
+
+module.exports = router;
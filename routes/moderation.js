@@ -0,0 +1,257 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Report = require('../models/Report');
+const ModerationAction = require('../models/ModerationAction');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { ModerationError, takeAction, attachTargets } = require('../services/moderation');
+const { recordAudit } = require('../services/audit');
+
+const router = express.Router();
+
+const moderatorsOnly = [authenticateToken, authorize('moderator', 'admin')];
+
+// @route   GET /api/moderation/queue
+// @desc    Reported content grouped by target, most reported first
+// @access  Private (moderator, admin)
+router.get('/queue', moderatorsOnly, async (req, res) => {
+  try {
+    const {
+      status = 'open',
+      targetType,
+      reason,
+      minReports = 1,
+      sortBy = 'reports',
+      page = 1,
+      limit = 20
+    } = req.query;
+
+    const match = {};
+    if (status !== 'all') match.status = status;
+    if (targetType) match.targetType = targetType;
+    if (reason) match.reason = reason;
+
+    const sort = sortBy === 'recent'
+      ? { latestReportAt: -1 }
+      : { reportCount: -1, latestReportAt: -1 };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [result] = await Report.aggregate([
+      { $match: match },
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: { targetType: '$targetType', target: '$target' },
+          targetAuthor: { $first: '$targetAuthor' },
+          reportCount: { $sum: 1 },
+          reasons: { $addToSet: '$reason' },
+          firstReportAt: { $min: '$createdAt' },
+          latestReportAt: { $max: '$createdAt' },
+          reports: {
+            $push: {
+              id: '$_id',
+              reporter: '$reporter',
+              reason: '$reason',
+              details: '$details',
+              status: '$status',
+              createdAt: '$createdAt'
+            }
+          }
+        }
+      },
+      { $match: { reportCount: { $gte: parseInt(minReports) || 1 } } },
+      { $sort: sort },
+      {
+        $facet: {
+          items: [{ $skip: skip }, { $limit: parseInt(limit) }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const items = await attachTargets(result.items.map(item => ({
+      targetType: item._id.targetType,
+      target: item._id.target,
+      targetAuthor: item.targetAuthor,
+      reportCount: item.reportCount,
+      reasons: item.reasons,
+      firstReportAt: item.firstReportAt,
+      latestReportAt: item.latestReportAt,
+      reports: item.reports.slice(0, 20)
+    })));
+
+    const total = result.total[0]?.count || 0;
+
+    res.json({
+      success: true,
+      data: {
+        items,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / parseInt(limit)),
+          hasNext: skip + parseInt(limit) < total,
+          hasPrev: parseInt(page) > 1,
+          totalItems: total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get moderation queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching moderation queue'
+    });
+  }
+});
+
+// @route   POST /api/moderation/:targetType/:id/actions
+// @desc    Dismiss, hide, restore, delete or warn, with a required reason
+// @access  Private (moderator, admin)
+router.post('/:targetType/:id/actions', moderatorsOnly, async (req, res) => {
+  try {
+    const { action, reason } = req.body;
+
+    const moderationAction = await takeAction({
+      targetType: req.params.targetType,
+      targetId: req.params.id,
+      moderatorId: req.user.userId,
+      action,
+      reason
+    });
+
+    await recordAudit(req, {
+      action: `moderation.${moderationAction.action}`,
+      targetType: moderationAction.targetType,
+      targetId: moderationAction.target,
+      metadata: {
+        reason: moderationAction.reason,
+        moderationAction: moderationAction._id,
+        targetAuthor: moderationAction.targetAuthor,
+        reportsResolved: moderationAction.reportsResolved
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Moderation action "${action}" recorded`,
+      data: {
+        action: moderationAction
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof ModerationError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Moderation action error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while applying moderation action'
+    });
+  }
+});
+
+// @route   GET /api/moderation/actions
+// @desc    History of moderation decisions with filters
+// @access  Private (moderator, admin)
+router.get('/actions', moderatorsOnly, async (req, res) => {
+  try {
+    const { targetType, target, action, moderator, targetAuthor, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (targetType) query.targetType = targetType;
+    if (action) query.action = action;
+    for (const [field, value] of Object.entries({ target, moderator, targetAuthor })) {
+      if (value) {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid ${field} id`
+          });
+        }
+        query[field] = value;
+      }
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const actions = await ModerationAction.find(query)
+      .populate('moderator', 'name')
+      .populate('targetAuthor', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await ModerationAction.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        actions,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / parseInt(limit)),
+          hasNext: skip + parseInt(limit) < total,
+          hasPrev: parseInt(page) > 1,
+          totalActions: total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get moderation actions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching moderation actions'
+    });
+  }
+});
+
+// @route   GET /api/moderation/my-actions
+// @desc    Moderation decisions about the current user's content
+// @access  Private
+router.get('/my-actions', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // Dismissed reports are not shown; the user never saw them
+    const query = { targetAuthor: req.user.userId, action: { $ne: 'dismiss' } };
+
+    const actions = await ModerationAction.find(query)
+      .select('action reason targetType target targetSummary createdAt')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await ModerationAction.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        actions,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / parseInt(limit)),
+          hasNext: skip + parseInt(limit) < total,
+          hasPrev: parseInt(page) > 1,
+          totalActions: total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get my moderation actions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching moderation history'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,209 @@
+const express = require('express');
+const Notification = require('../models/Notification');
+const { authenticateToken, authenticateStream } = require('../middleware/auth');
+const { subscribe, publishUnreadCount } = require('../services/notifications');
+
+const router = express.Router();
+
+// Comment sent on idle streams so proxies do not close them
+const HEARTBEAT_INTERVAL = 25 * 1000;
+// How long EventSource waits before reconnecting a dropped stream
+const RECONNECT_DELAY = 5000;
+
+// @route   GET /api/notifications
+// @desc    List the current user's notifications, newest first
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { unread, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = { user: req.user.userId };
+    if (unread === 'true') {
+      query.readAt = null;
+    }
+
+    const notifications = await Notification.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const [total, unreadCount] = await Promise.all([
+      Notification.countDocuments(query),
+      Notification.countUnread(req.user.userId)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        notifications: notifications.map(notification => notification.toClient()),
+        unreadCount,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / parseInt(limit)),
+          hasNext: skip + parseInt(limit) < total,
+          hasPrev: parseInt(page) > 1,
+          totalNotifications: total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching notifications'
+    });
+  }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Count the current user's unread notifications
+// @access  Private
+router.get('/unread-count', authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        unreadCount: await Notification.countUnread(req.user.userId)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get unread notification count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while counting notifications'
+    });
+  }
+});
+
+// @route   GET /api/notifications/stream
+// @desc    Server-Sent Events stream of new notifications and unread counts
+// @access  Private
+router.get('/stream', authenticateStream, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countUnread(req.user.userId);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // compression buffers responses; flush so every event goes out at once
+    const write = (chunk) => {
+      res.write(chunk);
+      if (res.flush) res.flush();
+    };
+    const send = (event, data) => write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    write(`retry: ${RECONNECT_DELAY}\n\n`);
+    send('unread', { unreadCount });
+
+    const unsubscribe = subscribe(req.user.userId, send);
+    const heartbeat = setInterval(() => write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+    // Access tokens are short-lived; tell the client to reconnect with a
+    // fresh one rather than streaming on an expired login
+    const expiry = req.user.tokenExpiresAt && setTimeout(() => {
+      send('expired', {});
+      res.end();
+    }, Math.max(0, req.user.tokenExpiresAt - Date.now()));
+
+    req.on('close', () => {
+      unsubscribe();
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+    });
+
+  } catch (error) {
+    console.error('Notification stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Server error while opening notification stream'
+      });
+    } else {
+      res.end();
+    }
+  }
+});
+
+// @route   POST /api/notifications/read-all
+// @desc    Mark all of the current user's notifications as read
+// @access  Private
+router.post('/read-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user.userId, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    await publishUnreadCount(req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: {
+        updated: result.modifiedCount,
+        unreadCount: 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating notifications'
+    });
+  }
+});
+
+// @route   POST /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.post('/:id/read', authenticateToken, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user.userId });
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+      await publishUnreadCount(req.user.userId);
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read',
+      data: {
+        notification: notification.toClient(),
+        unreadCount: await Notification.countUnread(req.user.userId)
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating notification'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,121 +1,198 @@
 const express = require('express');
 const Resource = require('../models/Resource');
 const Rating = require('../models/Rating');
-const User = require('../models/User');
-const { auth } = require('../middleware/auth');
+const { authenticateToken, authenticateWithScope, optionalAuthWithScope } = require('../middleware/auth');
+const { ModerationError, fileReport } = require('../services/moderation');
+const { diffFields, recordAudit } = require('../services/audit');
+const { RatingError, rateResource } = require('../services/ratings');
 
 const router = express.Router();
 
+// Orders reviews can be listed in; the first is the default
+const RATING_SORTS = {
+  helpful: { helpfulCount: -1, createdAt: -1 },
+  // Edited reviews move up: ratedAt changes with the score or feedback
+  recent: { ratedAt: -1 },
+  critical: { rating: 1, createdAt: -1 }
+};
+
+// A live resource the user can see, or null
+const findVisibleResource = async (resourceId, user) => {
+  const resource = await Resource.findById(resourceId).catch(() => null);
+  return resource && resource.isActive && resource.isVisibleTo(user) ? resource : null;
+};
+
 // Add or update rating for a resource
-router.post('/', auth, async (req, res) => {
+router.post('/', authenticateWithScope('ratings:write'), async (req, res) => {
   try {
     const { resourceId, rating, feedback } = req.body;
 
     if (!resourceId || !rating) {
-      return res.status(400).json({ message: 'Resource ID and rating are required' });
+      return res.status(400).json({
+        success: false,
+        message: 'Resource ID and rating are required'
+      });
     }
 
-    if (rating < 1 || rating > 5) {
-      return res.status(400).json({ message: 'Rating must be between 1 and 5' });
+    const resource = await findVisibleResource(resourceId, req.user);
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resource not found'
+      });
     }
 
-    const resource = await Resource.findById(resourceId);
-    if (!resource || !resource.isActive) {
-      return res.status(404).json({ message: 'Resource not found' });
-    }
+    const result = await rateResource({ resource, userId: req.user.userId, rating, feedback });
 
-    if (resource.author.toString() === req.user._id.toString()) {
-      return res.status(400).json({ message: 'You cannot rate your own resource' });
-    }
+    await recordAudit(req, {
+      action: result.created ? 'rating.create' : 'rating.update',
+      targetType: 'rating',
+      targetId: result.rating._id,
+      diff: diffFields(result.previous, { rating: result.rating.rating, feedback: result.rating.feedback }, ['rating', 'feedback']),
+      metadata: { resource: resource._id }
+    });
 
-    const existingRating = await Rating.findOne({
-      user: req.user._id,
-      resource: resourceId
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      message: result.created ? 'Rating added successfully' : 'Rating updated successfully',
+      data: {
+        rating: result.rating,
+        averageRating: result.averageRating,
+        totalRatings: result.totalRatings
+      }
     });
 
-    let ratingDoc;
-    if (existingRating) {
-      existingRating.rating = rating;
-      existingRating.feedback = feedback || '';
-      ratingDoc = await existingRating.save();
-    } else {
-      ratingDoc = new Rating({
-        user: req.user._id,
-        resource: resourceId,
-        rating,
-        feedback: feedback || ''
+  } catch (error) {
+    if (error instanceof RatingError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
       });
-      await ratingDoc.save();
+    }
+
+    console.error('Rating error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while processing rating'
+    });
+  }
+});
 
-      // Award reputation to user for rating
-      await User.findByIdAndUpdate(req.user._id, {
-        $inc: { reputation: 2 }
+// Get the visible ratings for a resource, sorted by ?sort=helpful|recent|critical
+router.get('/resource/:resourceId', optionalAuthWithScope('resources:read'), async (req, res) => {
+  try {
+    const sort = RATING_SORTS[req.query.sort] ? req.query.sort : 'helpful';
+
+    const resource = await findVisibleResource(req.params.resourceId, req.user);
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resource not found'
       });
     }
 
-    // Update resource ratings array
-    if (existingRating) {
-      await Resource.findOneAndUpdate(
-        { _id: resourceId, 'ratings.user': req.user._id },
-        {
-          $set: {
-            'ratings.$.rating': rating,
-            'ratings.$.feedback': feedback || '',
-            'ratings.$.createdAt': new Date()
-          }
-        }
-      );
-    } else {
-      await Resource.findByIdAndUpdate(resourceId, {
-        $push: {
-          ratings: {
-            user: req.user._id,
-            rating,
-            feedback: feedback || '',
-            createdAt: new Date()
-          }
-        }
+    // Reviews hidden by reports or moderators are left out
+    const ratings = await Rating.find({ resource: resource._id, isActive: true })
+      .populate('user', 'name university')
+      .sort(RATING_SORTS[sort]);
+
+    const viewerId = req.user ? req.user.userId : null;
+    res.json({
+      success: true,
+      data: {
+        sort,
+        ratings: ratings.map(rating => rating.toPublicJSON(viewerId))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get ratings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching ratings'
+    });
+  }
+});
+
+// Mark a rating as helpful, or take the vote back
+router.post('/:id/helpful', authenticateToken, async (req, res) => {
+  try {
+    const rating = await Rating.findById(req.params.id).catch(() => null);
+    const resource = rating && rating.isActive && await findVisibleResource(rating.resource, req.user);
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rating not found'
       });
     }
 
-    // Recalculate average rating
-    const updatedResource = await Resource.findById(resourceId);
-    await updatedResource.calculateAverageRating();
+    if (rating.user.toString() === req.user.userId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot vote on your own review'
+      });
+    }
 
-    // Award reputation to resource author
-    await User.findByIdAndUpdate(resource.author, {
-      $inc: { reputation: rating > 3 ? 3 : 1 }
-    });
+    const markedHelpful = await rating.markHelpful(req.user.userId);
 
-    res.status(existingRating ? 200 : 201).json({
-      message: existingRating ? 'Rating updated successfully' : 'Rating added successfully',
-      rating: ratingDoc
+    res.json({
+      success: true,
+      message: markedHelpful ? 'Marked as helpful' : 'Helpful vote removed',
+      data: {
+        markedHelpful,
+        helpfulCount: rating.helpfulCount
+      }
     });
 
   } catch (error) {
-    console.error('Rating error:', error);
-    res.status(500).json({ message: 'Server error while processing rating' });
+    console.error('Helpful rating error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while voting on rating'
+    });
   }
 });
 
-// Get all ratings for a resource
-router.get('/resource/:resourceId', async (req, res) => {
+// Report a rating to the moderators
+router.post('/:id/report', authenticateToken, async (req, res) => {
   try {
-    const ratings = await Rating.find({ resource: req.params.resourceId })
-      .populate('user', 'name department')
-      .sort({ createdAt: -1 });
+    const { reason, details } = req.body;
 
-    res.json({ ratings });
+    const rating = await Rating.findById(req.params.id).catch(() => null);
+    if (!rating || !await findVisibleResource(rating.resource, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rating not found'
+      });
+    }
+
+    await fileReport({
+      targetType: 'rating',
+      targetId: rating._id,
+      reporterId: req.user.userId,
+      reason,
+      details
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Thank you, the review has been reported to the moderators'
+    });
 
   } catch (error) {
-    console.error('Get ratings error:', error);
-    res.status(500).json({ message: 'Server error while fetching ratings' });
-  }
-});
+    if (error instanceof ModerationError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
 
-// Test route
-router.get('/test', (req, res) => {
-  res.json({ message: 'Rating routes working!' });
+    console.error('Report rating error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reporting rating'
+    });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
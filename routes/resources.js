@@ -2,120 +2,149 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { validationResult } = require('express-validator');
 const Resource = require('../models/Resource');
 const User = require('../models/User');
-const { auth } = require('../middleware/auth');
+const ResourceDownload = require('../models/ResourceDownload');
+const { authenticateToken, authenticateWithScope, optionalAuthWithScope, requireVerifiedEmail } = require('../middleware/auth');
+const { ModerationError, fileReport } = require('../services/moderation');
+const { diffFields, recordAudit } = require('../services/audit');
+const {
+  ALLOWED_MIME_TYPES,
+  INVALID_FILE_TYPE_MESSAGE,
+  uploadValidation,
+  UploadError,
+  discardStoredFile,
+  checkFileContent,
+  storeUpload,
+  publishUpload
+} = require('../services/resourceUploads');
+const { queueScan } = require('../services/scanning');
+const { queuePreview, readPreviewImage } = require('../services/previews');
+const { queueContentIndex } = require('../services/contentIndex');
+const { RatingError, rateResource } = require('../services/ratings');
+const createHashingDiskStorage = require('../services/storage/hashingDiskStorage');
+const { sendResourceFile } = require('../services/downloads');
+const { createDownloadUrl } = require('../utils/signedUrls');
+const { buildSnippet } = require('../utils/search');
+const { buildResourceQuery } = require('../services/resourceSearch');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadPath = path.join(__dirname, '../uploads/resources');
-    // Create directory if it doesn't exist
-    if (!fs.existsSync(uploadPath)) {
-      fs.mkdirSync(uploadPath, { recursive: true });
-    }
-    cb(null, uploadPath);
-  },
+// Session logins pass these checks; personal API tokens need the scope
+const canReadResources = optionalAuthWithScope('resources:read');
+const requireResourcesRead = authenticateWithScope('resources:read');
+const requireResourcesWrite = authenticateWithScope('resources:write');
+const requireRatingsWrite = authenticateWithScope('ratings:write');
+
+// Resource fields whose edits are recorded in the audit log
+const AUDITED_RESOURCE_FIELDS = ['title', 'description', 'subject', 'semester', 'type', 'tags', 'courseCode', 'visibility', 'institution'];
+
+// Configure multer for file uploads. Files land in a temporary folder, hashed
+// on the way in, and are then moved into the configured storage driver.
+const storage = createHashingDiskStorage({
+  directory: path.join(__dirname, '../uploads/tmp'),
   filename: (req, file, cb) => {
     // Create unique filename: timestamp-originalname
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, uniqueSuffix + '-' + file.originalname);
+    const safeFilename = file.originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
+    cb(null, uniqueSuffix + '-' + safeFilename);
   }
 });
 
 const fileFilter = (req, file, cb) => {
-  // Accept only specific file types
-  const allowedTypes = [
-    'application/pdf',
-    'application/msword',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'application/vnd.ms-powerpoint',
-    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-    'text/plain',
-    'image/jpeg',
-    'image/png'
-  ];
-
-  if (allowedTypes.includes(file.mimetype)) {
+  if (ALLOWED_MIME_TYPES.includes(file.mimetype)) {
     cb(null, true);
   } else {
-    cb(new Error('Invalid file type. Only PDF, DOC, DOCX, PPT, PPTX, TXT, JPG, PNG files are allowed.'), false);
+    cb(new Error(INVALID_FILE_TYPE_MESSAGE), false);
   }
 };
 
 const upload = multer({
   storage: storage,
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
+    fileSize: 15 * 1024 * 1024, // 15MB limit
   },
   fileFilter: fileFilter
 });
 
-// Get all resources with filtering and search
-router.get('/', async (req, res) => {
+// @route   GET /api/resources
+// @desc    Get all resources with filtering and search
+// @access  Public (institution-only resources require auth)
+router.get('/', canReadResources, async (req, res) => {
   try {
-    const {
-      search,
-      subject,
-      semester,
-      type,
-      author,
-      sortBy = 'createdAt',
-      order = 'desc',
-      page = 1,
-      limit = 12
-    } = req.query;
-
-    let query = { isActive: true };
-    let sort = {};
+    const { facets, order = 'desc', page = 1, limit = 12 } = req.query;
 
-    // Build search query
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { tags: { $in: [new RegExp(search, 'i')] } }
-      ];
+    const { query, baseQuery, facetFilters, searchQuery, error } = buildResourceQuery(req.query, req.user);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
     }
 
-    // Apply filters
-    if (subject && subject !== 'all') {
-      query.subject = subject;
-    }
-    if (semester && semester !== 'all') {
-      query.semester = semester;
-    }
-    if (type && type !== 'all') {
-      query.type = type;
-    }
-    if (author) {
-      query.author = author;
-    }
+    // Searches are ranked by relevance unless another order is asked for
+    const sortBy = req.query.sortBy || (searchQuery ? 'relevance' : 'createdAt');
+    let sort = {};
 
     // Build sort object
-    if (sortBy === 'rating') {
-      sort.averageRating = order === 'desc' ? -1 : 1;
-    } else if (sortBy === 'downloads') {
-      sort.downloadCount = order === 'desc' ? -1 : 1;
-    } else if (sortBy === 'title') {
-      sort.title = order === 'desc' ? -1 : 1;
-    } else {
-      sort.createdAt = order === 'desc' ? -1 : 1;
+    switch (sortBy) {
+      case 'rating':
+        sort.averageRating = order === 'desc' ? -1 : 1;
+        sort.totalRatings = -1; // Secondary sort
+        break;
+      case 'downloads':
+        sort.downloadCount = order === 'desc' ? -1 : 1;
+        break;
+      case 'title':
+        sort.title = order === 'desc' ? -1 : 1;
+        break;
+      case 'views':
+        sort.views = order === 'desc' ? -1 : 1;
+        break;
+      case 'relevance':
+        if (searchQuery) {
+          sort.score = { $meta: 'textScore' };
+          break;
+        }
+        // Without a search there is nothing to rank by
+        sort.createdAt = -1;
+        break;
+      default:
+        sort.createdAt = order === 'desc' ? -1 : 1;
     }
 
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     // Execute query
-    const resources = await Resource.find(query)
+    let finder = Resource.find(query);
+    if (searchQuery) {
+      finder = finder.select('+contentText').select({ score: { $meta: 'textScore' } });
+    }
+
+    const resources = await finder
       .populate('author', 'name university major')
       .sort(sort)
       .skip(skip)
       .limit(parseInt(limit))
       .lean();
 
+    // Show where each result matched, preferring the file itself; the
+    // extracted text is too large to send back
+    if (searchQuery) {
+      resources.forEach(resource => {
+        const contentSnippet = buildSnippet(resource.contentText, searchQuery);
+        resource.searchMatch = {
+          score: resource.score,
+          field: contentSnippet ? 'content' : 'description',
+          snippet: contentSnippet || buildSnippet(resource.description, searchQuery)
+        };
+        delete resource.score;
+        delete resource.contentText;
+      });
+    }
+
     const total = await Resource.countDocuments(query);
 
     res.json({
@@ -128,7 +157,9 @@ router.get('/', async (req, res) => {
           hasNext: skip + parseInt(limit) < total,
           hasPrev: parseInt(page) > 1,
           totalResources: total
-        }
+        },
+        // Counts for the filter lists, computed only when asked for
+        facets: facets === 'true' ? await Resource.getFacets(baseQuery, facetFilters) : undefined
       }
     });
 
@@ -141,24 +172,224 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Get single resource by ID
-router.get('/:id', async (req, res) => {
+// @route   GET /api/resources/stats
+// @desc    Get resource statistics
+// @access  Public
+router.get('/stats', async (req, res) => {
+  try {
+    const totalResources = await Resource.countDocuments({ isActive: true });
+    const totalDownloads = await Resource.aggregate([
+      { $match: { isActive: true } },
+      { $group: { _id: null, total: { $sum: '$downloadCount' } } }
+    ]);
+    
+    const avgRating = await Resource.aggregate([
+      { $match: { isActive: true, totalRatings: { $gt: 0 } } },
+      { $group: { _id: null, avg: { $avg: '$averageRating' } } }
+    ]);
+
+    const subjectStats = await Resource.aggregate([
+      { $match: { isActive: true } },
+      { $group: { _id: '$subject', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        totalResources,
+        totalDownloads: totalDownloads[0]?.total || 0,
+        averageRating: Math.round((avgRating[0]?.avg || 0) * 10) / 10,
+        subjectDistribution: subjectStats
+      }
+    });
+
+  } catch (error) {
+    console.error('Get stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching statistics'
+    });
+  }
+});
+
+// @route   GET /api/resources/top-rated
+// @desc    Get top-rated resources
+// @access  Public
+router.get('/top-rated', canReadResources, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 10;
+
+    const resources = await Resource.getTopRated(limit, req.user);
+
+    res.json({
+      success: true,
+      data: {
+        resources
+      }
+    });
+
+  } catch (error) {
+    console.error('Get top-rated resources error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching top-rated resources'
+    });
+  }
+});
+
+// @route   GET /api/resources/most-downloaded
+// @desc    Get most downloaded resources
+// @access  Public
+router.get('/most-downloaded', canReadResources, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 10;
+
+    const resources = await Resource.getPopular(limit, req.user);
+
+    res.json({
+      success: true,
+      data: {
+        resources
+      }
+    });
+
+  } catch (error) {
+    console.error('Get most downloaded resources error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching most downloaded resources'
+    });
+  }
+});
+
+// @route   GET /api/resources/recent
+// @desc    Get recent resources
+// @access  Public
+router.get('/recent', canReadResources, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 10;
+
+    const resources = await Resource.getRecent(limit, req.user);
+
+    res.json({
+      success: true,
+      data: {
+        resources
+      }
+    });
+
+  } catch (error) {
+    console.error('Get recent resources error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching recent resources'
+    });
+  }
+});
+
+// @route   GET /api/resources/suggest
+// @desc    Autocomplete titles, tags and course codes as the user types
+// @access  Public (institution-only resources require auth)
+router.get('/suggest', canReadResources, async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim().slice(0, 50);
+    const limit = Math.min(parseInt(req.query.limit) || 8, 20);
+
+    if (q.length < 2) {
+      return res.json({
+        success: true,
+        data: { titles: [], tags: [], courseCodes: [] }
+      });
+    }
+
+    const suggestions = await Resource.suggest(q, req.user, limit);
+
+    res.json({
+      success: true,
+      data: suggestions
+    });
+
+  } catch (error) {
+    console.error('Suggest resources error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching suggestions'
+    });
+  }
+});
+
+// Version details safe to show to anyone who can see the resource
+const versionSummary = (version, currentVersion) => ({
+  version: version.version,
+  originalName: version.originalName,
+  fileSize: version.fileSize,
+  mimeType: version.mimeType,
+  changelog: version.changelog,
+  createdAt: version.createdAt,
+  scanStatus: version.scanStatus || 'clean',
+  current: version.version === currentVersion
+});
+
+// Summaries of the revisions the user may see, newest first. Only the author
+// sees revisions that are still being scanned or were quarantined.
+const visibleVersions = (resource, user) => {
+  const authorId = resource.author._id || resource.author;
+  const isAuthor = Boolean(user) && authorId.toString() === user.userId.toString();
+  return resource.getVersions()
+    .filter(v => isAuthor || !v.scanStatus || v.scanStatus === 'clean')
+    .map(v => versionSummary(v, resource.currentVersion))
+    .sort((a, b) => b.version - a.version);
+};
+
+// Resource fields safe to show to anyone who can see it; where and how the
+// file is stored stays on the server
+const RESOURCE_DETAIL_FIELDS = [
+  '_id', 'title', 'description', 'subject', 'semester', 'type', 'author',
+  'originalName', 'fileSize', 'mimeType', 'tags', 'courseCode', 'visibility',
+  'institution', 'currentVersion', 'ratings', 'averageRating', 'totalRatings',
+  'downloadCount', 'views', 'publishedAt', 'createdAt', 'updatedAt'
+];
+
+const resourceDetails = (resource, user) => {
+  const details = {};
+  RESOURCE_DETAIL_FIELDS.forEach(field => { details[field] = resource[field]; });
+  details.versions = visibleVersions(resource, user);
+  return details;
+};
+
+// @route   GET /api/resources/:id
+// @desc    Get single resource by ID
+// @access  Public
+router.get('/:id', canReadResources, async (req, res) => {
   try {
     const resource = await Resource.findById(req.params.id)
       .populate('author', 'name university major email')
       .populate('ratings.user', 'name university');
 
-    if (!resource || !resource.isActive) {
+    if (!resource || !resource.isActive || !resource.isVisibleTo(req.user)) {
       return res.status(404).json({
         success: false,
         message: 'Resource not found'
       });
     }
 
+    // Increment view count
+    await resource.incrementViewCount();
+
+    // Let returning users know when the file changed since they downloaded it
+    let downloadedVersion = null;
+    if (req.user) {
+      const download = await ResourceDownload.findOne({ user: req.user.userId, resource: resource._id });
+      downloadedVersion = download ? download.version : null;
+    }
+
     res.json({
       success: true,
       data: {
-        resource
+        resource: resourceDetails(resource, req.user),
+        downloadedVersion,
+        newerVersionAvailable: downloadedVersion !== null && resource.currentVersion > downloadedVersion
       }
     });
 
@@ -171,69 +402,53 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Upload new resource
-router.post('/', auth, upload.single('file'), async (req, res) => {
+// @route   POST /api/resources
+// @desc    Upload new resource
+// @access  Private
+router.post('/', requireResourcesWrite, requireVerifiedEmail, upload.single('file'), uploadValidation, async (req, res) => {
   try {
-    if (!req.file) {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      // Delete uploaded file if validation fails
+      if (req.file) {
+        fs.unlinkSync(req.file.path);
+      }
       return res.status(400).json({
         success: false,
-        message: 'No file uploaded'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    const { title, description, subject, semester, type, tags } = req.body;
-
-    // Validate required fields
-    if (!title || !description || !subject || !semester || !type) {
-      // Delete uploaded file if validation fails
-      fs.unlinkSync(req.file.path);
+    if (!req.file) {
       return res.status(400).json({
         success: false,
-        message: 'All fields are required: title, description, subject, semester, type'
+        message: 'No file uploaded'
       });
     }
 
-    // Process tags
-    let tagArray = [];
-    if (tags) {
-      tagArray = tags.split(',').map(tag => tag.trim().toLowerCase()).filter(tag => tag.length > 0);
-    }
-
-    // Create new resource
-    const resource = new Resource({
-      title: title.trim(),
-      description: description.trim(),
-      subject,
-      semester,
-      type,
-      author: req.user.userId,
-      filename: req.file.filename,
-      originalName: req.file.originalname,
-      filePath: req.file.path,
-      fileSize: req.file.size,
-      mimeType: req.file.mimetype,
-      tags: tagArray
-    });
-
-    await resource.save();
-
-    // Populate author info for response
-    await resource.populate('author', 'name university major');
+    const resource = await publishUpload(req, req.file);
 
     res.status(201).json({
       success: true,
-      message: 'Resource uploaded successfully',
+      message: resource.scanStatus === 'clean'
+        ? 'Resource uploaded successfully'
+        : 'Resource uploaded; it will be published once the malware scan finishes',
       data: {
         resource
       }
     });
 
   } catch (error) {
-    // Delete uploaded file if there was an error
-    if (req.file) {
-      fs.unlinkSync(req.file.path);
+    if (error instanceof UploadError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.body
+      });
     }
-    
+
     console.error('Upload resource error:', error);
     res.status(500).json({
       success: false,
@@ -242,10 +457,12 @@ router.post('/', auth, upload.single('file'), async (req, res) => {
   }
 });
 
-// Update resource (only by author)
-router.put('/:id', auth, async (req, res) => {
+// @route   PUT /api/resources/:id
+// @desc    Update resource (only by author)
+// @access  Private
+router.put('/:id', requireResourcesWrite, async (req, res) => {
   try {
-    const { title, description, subject, semester, type, tags } = req.body;
+    const { title, description, subject, semester, type, tags, courseCode, visibility } = req.body;
 
     const resource = await Resource.findById(req.params.id);
     if (!resource || !resource.isActive) {
@@ -263,17 +480,69 @@ router.put('/:id', auth, async (req, res) => {
       });
     }
 
+    const before = resource.toObject();
+
     // Update fields if provided
-    if (title) resource.title = title.trim();
-    if (description) resource.description = description.trim();
+    if (title && title.trim()) resource.title = title.trim();
+    if (description && description.trim()) resource.description = description.trim();
     if (subject) resource.subject = subject;
     if (semester) resource.semester = semester;
     if (type) resource.type = type;
-    if (tags) {
-      resource.tags = tags.split(',').map(tag => tag.trim().toLowerCase()).filter(tag => tag.length > 0);
+
+    // An empty course code removes it
+    if (courseCode !== undefined) {
+      const normalized = Resource.normalizeCourseCode(courseCode);
+      if (normalized && !Resource.isValidCourseCode(normalized)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Course code must look like CS101 or MATH2010'
+        });
+      }
+      resource.courseCode = normalized || undefined;
+    }
+
+    if (visibility) {
+      if (!['public', 'institution-only'].includes(visibility)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Visibility must be public or institution-only'
+        });
+      }
+      if (visibility === 'institution-only' && !req.user.institution) {
+        return res.status(400).json({
+          success: false,
+          message: 'Your account is not linked to an institution, so the resource must be public'
+        });
+      }
+      resource.visibility = visibility;
+      if (visibility === 'institution-only') {
+        resource.institution = req.user.institution;
+      }
+    }
+    
+    if (tags !== undefined) {
+      if (tags.trim()) {
+        resource.tags = tags.split(',')
+          .map(tag => tag.trim().toLowerCase())
+          .filter(tag => tag.length > 0)
+          .slice(0, 10);
+      } else {
+        resource.tags = [];
+      }
     }
 
     await resource.save();
+
+    const diff = diffFields(before, resource.toObject(), AUDITED_RESOURCE_FIELDS);
+    if (diff) {
+      await recordAudit(req, {
+        action: 'resource.update',
+        targetType: 'resource',
+        targetId: resource._id,
+        diff
+      });
+    }
+
     await resource.populate('author', 'name university major');
 
     res.json({
@@ -293,8 +562,10 @@ router.put('/:id', auth, async (req, res) => {
   }
 });
 
-// Delete resource (only by author)
-router.delete('/:id', auth, async (req, res) => {
+// @route   DELETE /api/resources/:id
+// @desc    Delete resource (only by author)
+// @access  Private
+router.delete('/:id', requireResourcesWrite, async (req, res) => {
   try {
     const resource = await Resource.findById(req.params.id);
     if (!resource || !resource.isActive) {
@@ -316,6 +587,14 @@ router.delete('/:id', auth, async (req, res) => {
     resource.isActive = false;
     await resource.save();
 
+    await recordAudit(req, {
+      action: 'resource.delete',
+      targetType: 'resource',
+      targetId: resource._id,
+      diff: { isActive: { from: true, to: false } },
+      metadata: { title: resource.title }
+    });
+
     res.json({
       success: true,
       message: 'Resource deleted successfully'
@@ -330,8 +609,300 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
-// Download resource
-router.get('/:id/download', auth, async (req, res) => {
+// @route   GET /api/resources/:id/download
+// @desc    Download resource, with Range and conditional request support
+// @access  Private
+router.get('/:id/download', requireResourcesRead, async (req, res) => {
+  try {
+    const resource = await Resource.findById(req.params.id);
+    if (!resource || !resource.isActive || !resource.isVisibleTo(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resource not found'
+      });
+    }
+
+    // Earlier versions stay downloadable with ?version=N
+    const file = req.query.version
+      ? resource.getReleasedVersion(req.query.version)
+      : resource.getReleasedVersion(resource.currentVersion);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    await sendResourceFile(req, res, { resource, file, userId: req.user.userId });
+
+  } catch (error) {
+    console.error('Download resource error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while downloading resource'
+    });
+  }
+});
+
+// @route   POST /api/resources/:id/download-link
+// @desc    Get a short-lived signed URL that downloads without an auth header
+// @access  Private
+router.post('/:id/download-link', requireResourcesRead, async (req, res) => {
+  try {
+    const resource = await Resource.findById(req.params.id);
+    if (!resource || !resource.isActive || !resource.isVisibleTo(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resource not found'
+      });
+    }
+
+    const version = req.body.version || resource.currentVersion;
+    const file = resource.getReleasedVersion(version);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    const { url, expiresAt } = createDownloadUrl({
+      resourceId: resource._id,
+      version: file.version,
+      userId: req.user.userId,
+      filename: file.originalName,
+      ttlSeconds: req.body.expiresIn
+    });
+
+    res.json({
+      success: true,
+      data: {
+        url,
+        expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Create download link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating download link'
+    });
+  }
+});
+
+// @route   GET /api/resources/:id/preview
+// @desc    Get the thumbnail and/or text snippet of the current version
+// @access  Public
+router.get('/:id/preview', canReadResources, async (req, res) => {
+  try {
+    const resource = await Resource.findById(req.params.id);
+    if (!resource || !resource.isActive || !resource.isVisibleTo(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resource not found'
+      });
+    }
+
+    const { preview } = resource;
+
+    // Not generated yet (or still for an older version): ask for it and let
+    // the client check back
+    if (!preview || preview.version !== resource.currentVersion) {
+      queuePreview(resource._id);
+      return res.status(202).json({
+        success: true,
+        data: {
+          status: 'pending',
+          version: resource.currentVersion
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        status: preview.status,
+        version: preview.version,
+        text: preview.text,
+        image: preview.image && preview.image.key ? await readPreviewImage(preview) : undefined,
+        width: preview.image ? preview.image.width : undefined,
+        height: preview.image ? preview.image.height : undefined,
+        generatedAt: preview.generatedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Get resource preview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching preview'
+    });
+  }
+});
+
+// @route   GET /api/resources/:id/versions
+// @desc    List a resource's file versions, newest first
+// @access  Public
+router.get('/:id/versions', canReadResources, async (req, res) => {
+  try {
+    const resource = await Resource.findById(req.params.id);
+    if (!resource || !resource.isActive || !resource.isVisibleTo(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resource not found'
+      });
+    }
+
+    const versions = visibleVersions(resource, req.user);
+
+    res.json({
+      success: true,
+      data: {
+        currentVersion: resource.currentVersion,
+        versions
+      }
+    });
+
+  } catch (error) {
+    console.error('Get resource versions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching versions'
+    });
+  }
+});
+
+// @route   POST /api/resources/:id/versions
+// @desc    Upload a new file revision with a changelog (only by author)
+// @access  Private
+router.post('/:id/versions', requireResourcesWrite, requireVerifiedEmail, upload.single('file'), async (req, res) => {
+  let stored = null;
+
+  // Remove the uploaded file when the revision is rejected
+  const discardUpload = () => {
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+  };
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
+    const changelog = String(req.body.changelog || '').trim();
+    if (changelog.length < 3 || changelog.length > 500) {
+      discardUpload();
+      return res.status(400).json({
+        success: false,
+        message: 'Changelog must be between 3 and 500 characters'
+      });
+    }
+
+    const resource = await Resource.findById(req.params.id);
+    if (!resource || !resource.isActive) {
+      discardUpload();
+      return res.status(404).json({
+        success: false,
+        message: 'Resource not found'
+      });
+    }
+
+    if (resource.author.toString() !== req.user.userId.toString()) {
+      discardUpload();
+      return res.status(403).json({
+        success: false,
+        message: 'You can only update your own resources'
+      });
+    }
+
+    if (resource.sha256 && resource.sha256 === req.file.sha256) {
+      discardUpload();
+      return res.status(400).json({
+        success: false,
+        message: 'This file is identical to the current version'
+      });
+    }
+
+    await checkFileContent(req.file);
+    stored = await storeUpload(req.file);
+
+    const previousVersion = resource.currentVersion;
+    const version = resource.addVersion({
+      filename: req.file.filename,
+      originalName: req.file.originalname,
+      storage: stored.storage,
+      filePath: stored.key,
+      sha256: stored.sha256,
+      fileSize: req.file.size,
+      mimeType: req.file.mimetype,
+      scanStatus: stored.scanStatus === 'clean' ? 'clean' : 'pending_scan'
+    }, changelog, req.user.userId);
+    await resource.save();
+    // The blob now belongs to the version; later failures must not release it
+    stored = null;
+
+    if (version.scanStatus === 'pending_scan') {
+      queueScan(version.sha256);
+    } else {
+      queuePreview(resource._id);
+      queueContentIndex(resource._id);
+    }
+
+    await recordAudit(req, {
+      action: 'resource.version.upload',
+      targetType: 'resource',
+      targetId: resource._id,
+      diff: resource.currentVersion !== previousVersion
+        ? { currentVersion: { from: previousVersion, to: resource.currentVersion } }
+        : undefined,
+      metadata: {
+        version: version.version,
+        changelog,
+        originalName: version.originalName,
+        fileSize: version.fileSize,
+        scanStatus: version.scanStatus
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: version.scanStatus === 'clean'
+        ? `Version ${version.version} uploaded successfully`
+        : `Version ${version.version} uploaded; it will become current once the malware scan finishes`,
+      data: {
+        version: versionSummary(version, resource.currentVersion)
+      }
+    });
+
+  } catch (error) {
+    discardUpload();
+    discardStoredFile(stored);
+
+    if (error instanceof UploadError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.body
+      });
+    }
+
+    console.error('Upload resource version error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while uploading version'
+    });
+  }
+});
+
+// @route   POST /api/resources/:id/versions/:version/rollback
+// @desc    Make an earlier version current again (only by author)
+// @access  Private
+router.post('/:id/versions/:version/rollback', requireResourcesWrite, async (req, res) => {
   try {
     const resource = await Resource.findById(req.params.id);
     if (!resource || !resource.isActive) {
@@ -341,110 +912,281 @@ router.get('/:id/download', auth, async (req, res) => {
       });
     }
 
-    // Check if file exists
-    if (!fs.existsSync(resource.filePath)) {
+    if (resource.author.toString() !== req.user.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only update your own resources'
+      });
+    }
+
+    const targetVersion = parseInt(req.params.version);
+    if (targetVersion === resource.currentVersion) {
+      return res.status(400).json({
+        success: false,
+        message: `Version ${targetVersion} is already current`
+      });
+    }
+
+    // Legacy resources get their original upload recorded before switching
+    if (resource.versions.length === 0) {
+      resource.versions.push(resource.getVersions()[0]);
+    }
+
+    const target = resource.getVersion(targetVersion);
+    if (target && !resource.getReleasedVersion(targetVersion)) {
+      return res.status(409).json({
+        success: false,
+        message: target.scanStatus === 'quarantined'
+          ? `Version ${targetVersion} was quarantined by the malware scanner`
+          : `Version ${targetVersion} is still being scanned`
+      });
+    }
+
+    const previousVersion = resource.currentVersion;
+    const version = resource.setCurrentVersion(targetVersion);
+    if (!version) {
       return res.status(404).json({
         success: false,
-        message: 'File not found on server'
+        message: 'Version not found'
       });
     }
+    await resource.save();
 
-    // Increment download count
-    await resource.incrementDownloadCount();
+    queuePreview(resource._id);
+    queueContentIndex(resource._id);
 
-    // Set appropriate headers
-    res.setHeader('Content-Disposition', `attachment; filename="${resource.originalName}"`);
-    res.setHeader('Content-Type', resource.mimeType);
+    await recordAudit(req, {
+      action: 'resource.version.rollback',
+      targetType: 'resource',
+      targetId: resource._id,
+      diff: { currentVersion: { from: previousVersion, to: version.version } }
+    });
 
-    // Stream file to client
-    const fileStream = fs.createReadStream(resource.filePath);
-    fileStream.pipe(res);
+    res.json({
+      success: true,
+      message: `Rolled back to version ${version.version}`,
+      data: {
+        version: versionSummary(version, resource.currentVersion)
+      }
+    });
 
   } catch (error) {
-    console.error('Download resource error:', error);
+    console.error('Rollback resource version error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while downloading resource'
+      message: 'Server error while rolling back version'
     });
   }
 });
 
-// Get top-rated resources
-router.get('/top-rated', async (req, res) => {
+// @route   POST /api/resources/:id/rate
+// @desc    Rate a resource
+// @access  Private
+router.post('/:id/rate', requireRatingsWrite, async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 10;
+    const { rating, feedback } = req.body;
+
+    const resource = await Resource.findById(req.params.id);
+    if (!resource || !resource.isActive || !resource.isVisibleTo(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resource not found'
+      });
+    }
+
+    const result = await rateResource({ resource, userId: req.user.userId, rating, feedback });
 
-    const resources = await Resource.find({ isActive: true })
-      .populate('author', 'name university')
-      .sort({ averageRating: -1, totalRatings: -1 })
-      .limit(limit);
+    await recordAudit(req, {
+      action: result.created ? 'rating.create' : 'rating.update',
+      targetType: 'rating',
+      targetId: result.rating._id,
+      diff: diffFields(result.previous, { rating: result.rating.rating, feedback: result.rating.feedback }, ['rating', 'feedback']),
+      metadata: { resource: resource._id }
+    });
 
     res.json({
       success: true,
+      message: 'Rating added successfully',
       data: {
-        resources
+        averageRating: result.averageRating,
+        totalRatings: result.totalRatings
       }
     });
 
   } catch (error) {
-    console.error('Get top-rated resources error:', error);
+    if (error instanceof RatingError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Rate resource error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while fetching top-rated resources'
+      message: 'Server error while rating resource'
     });
   }
 });
 
-// Get most downloaded resources
-router.get('/most-downloaded', async (req, res) => {
+// @route   POST /api/resources/:id/report
+// @desc    Report a resource to the moderators
+// @access  Private
+router.post('/:id/report', authenticateToken, async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 10;
+    const { reason, details } = req.body;
+
+    const resource = await Resource.findById(req.params.id);
+    if (!resource || !resource.isActive || !resource.isVisibleTo(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resource not found'
+      });
+    }
+
+    await fileReport({
+      targetType: 'resource',
+      targetId: resource._id,
+      reporterId: req.user.userId,
+      reason,
+      details
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Thank you, the resource has been reported to the moderators'
+    });
+
+  } catch (error) {
+    if (error instanceof ModerationError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Report resource error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reporting resource'
+    });
+  }
+});
 
-    const resources = await Resource.find({ isActive: true })
-      .populate('author', 'name university')
-      .sort({ downloadCount: -1 })
-      .limit(limit);
+// @route   GET /api/resources/my/uploads
+// @desc    Get current user's uploaded resources
+// @access  Private
+router.get('/my/uploads', requireResourcesRead, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, sortBy = 'createdAt', order = 'desc' } = req.query;
+
+    let sort = {};
+    sort[sortBy] = order === 'desc' ? -1 : 1;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // Authors also see uploads held back by the malware scanner
+    const filter = {
+      author: req.user.userId,
+      $or: [
+        { isActive: true },
+        { scanStatus: { $ne: 'clean' }, moderationStatus: 'visible' }
+      ]
+    };
+
+    const resources = await Resource.find(filter)
+      .sort(sort)
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('author', 'name university major');
+
+    const total = await Resource.countDocuments(filter);
 
     res.json({
       success: true,
       data: {
-        resources
+        resources,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / parseInt(limit)),
+          hasNext: skip + parseInt(limit) < total,
+          hasPrev: parseInt(page) > 1,
+          totalResources: total
+        }
       }
     });
 
   } catch (error) {
-    console.error('Get most downloaded resources error:', error);
+    console.error('Get user uploads error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while fetching most downloaded resources'
+      message: 'Server error while fetching your uploads'
     });
   }
 });
 
-// Get recent resources
-router.get('/recent', async (req, res) => {
+// @route   GET /api/resources/my/updates
+// @desc    Resources the current user downloaded that have a newer version
+// @access  Private
+router.get('/my/updates', requireResourcesRead, async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 10;
+    const downloads = await ResourceDownload.findOutdatedForUser(req.user.userId);
 
-    const resources = await Resource.find({ isActive: true })
-      .populate('author', 'name university')
-      .sort({ createdAt: -1 })
-      .limit(limit);
+    const updates = downloads.map(download => ({
+      resource: {
+        _id: download.resource._id,
+        title: download.resource.title,
+        author: download.resource.author
+      },
+      downloadedVersion: download.version,
+      currentVersion: download.resource.currentVersion,
+      downloadedAt: download.downloadedAt,
+      changes: download.resource.versions
+        .filter(v => v.version > download.version && v.version <= download.resource.currentVersion)
+        .map(v => ({ version: v.version, changelog: v.changelog, createdAt: v.createdAt }))
+    }));
 
     res.json({
       success: true,
       data: {
-        resources
+        updates
       }
     });
 
   } catch (error) {
-    console.error('Get recent resources error:', error);
+    console.error('Get resource updates error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while fetching recent resources'
+      message: 'Server error while fetching resource updates'
+    });
+  }
+});
+
+// Error handling middleware for multer
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({
+        success: false,
+        message: 'File too large. Maximum size is 15MB.'
+      });
+    }
+    if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({
+        success: false,
+        message: 'Unexpected file field.'
+      });
+    }
+  }
+  
+  if (error.message.includes('Invalid file type')) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
     });
   }
+
+  next(error);
 });
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,303 @@
+const express = require('express');
+const SavedSearch = require('../models/SavedSearch');
+const { authenticateToken } = require('../middleware/auth');
+const { buildResourceQuery, pickSearchParams } = require('../services/resourceSearch');
+
+const router = express.Router();
+
+const MAX_SAVED_SEARCHES = 25;
+
+// Shape a saved search for API responses
+const formatSavedSearch = (savedSearch) => ({
+  id: savedSearch._id,
+  name: savedSearch.name,
+  query: pickSearchParams(savedSearch.query || {}),
+  frequency: savedSearch.frequency,
+  subscribed: savedSearch.subscribed,
+  lastCheckedAt: savedSearch.lastCheckedAt,
+  nextRunAt: savedSearch.nextRunAt,
+  lastMatchedAt: savedSearch.lastMatchedAt,
+  lastMatchCount: savedSearch.lastMatchCount,
+  createdAt: savedSearch.createdAt
+});
+
+// Check a GET /api/resources query for saving; returns { query } or { error }
+const parseSavedQuery = (input, user) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Query must be an object of search parameters' };
+  }
+
+  const query = pickSearchParams(input);
+  const { error } = buildResourceQuery(query, user);
+  return error ? { error } : { query };
+};
+
+const isValidFrequency = (frequency) => SavedSearch.FREQUENCIES.includes(frequency);
+
+// @route   GET /api/saved-searches
+// @desc    List the current user's saved searches
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.find({ user: req.user.userId })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        savedSearches: savedSearches.map(formatSavedSearch),
+        frequencies: SavedSearch.FREQUENCIES
+      }
+    });
+
+  } catch (error) {
+    console.error('Get saved searches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching saved searches'
+    });
+  }
+});
+
+// @route   POST /api/saved-searches
+// @desc    Save a resource search and get alerts for new matches
+// @access  Private
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { name, query: input = {}, frequency = 'daily' } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name is required'
+      });
+    }
+
+    if (!isValidFrequency(frequency)) {
+      return res.status(400).json({
+        success: false,
+        message: `Frequency must be one of: ${SavedSearch.FREQUENCIES.join(', ')}`
+      });
+    }
+
+    const { query, error } = parseSavedQuery(input, req.user);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const count = await SavedSearch.countDocuments({ user: req.user.userId });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_SAVED_SEARCHES} saved searches`
+      });
+    }
+
+    // Only resources published from now on count as new
+    const now = new Date();
+    const savedSearch = new SavedSearch({
+      user: req.user.userId,
+      name: String(name).trim(),
+      query,
+      frequency
+    });
+    savedSearch.markChecked(now);
+    await savedSearch.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Search saved successfully',
+      data: {
+        savedSearch: formatSavedSearch(savedSearch)
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Create saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving search'
+    });
+  }
+});
+
+// @route   PUT /api/saved-searches/:id
+// @desc    Rename a saved search or change its query, frequency or subscription
+// @access  Private
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { name, query: input, frequency, subscribed } = req.body;
+
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, user: req.user.userId });
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    if (name !== undefined) {
+      if (!String(name).trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Name cannot be empty'
+        });
+      }
+      savedSearch.name = String(name).trim();
+    }
+
+    if (input !== undefined) {
+      const { query, error } = parseSavedQuery(input, req.user);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+      savedSearch.query = query;
+    }
+
+    if (frequency !== undefined) {
+      if (!isValidFrequency(frequency)) {
+        return res.status(400).json({
+          success: false,
+          message: `Frequency must be one of: ${SavedSearch.FREQUENCIES.join(', ')}`
+        });
+      }
+      savedSearch.frequency = frequency;
+    }
+
+    if (typeof subscribed === 'boolean') {
+      // Resubscribing starts from now rather than alerting about everything
+      // published while unsubscribed
+      if (subscribed && !savedSearch.subscribed) {
+        savedSearch.markChecked(new Date());
+      }
+      savedSearch.subscribed = subscribed;
+    }
+
+    // Keep the schedule in step with a changed frequency
+    if (savedSearch.isModified('frequency')) {
+      savedSearch.markChecked(savedSearch.lastCheckedAt);
+    }
+
+    await savedSearch.save();
+
+    res.json({
+      success: true,
+      message: 'Saved search updated successfully',
+      data: {
+        savedSearch: formatSavedSearch(savedSearch)
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Update saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating saved search'
+    });
+  }
+});
+
+// @route   POST /api/saved-searches/:id/unsubscribe
+// @desc    Stop alerts for a saved search without deleting it
+// @access  Private
+router.post('/:id/unsubscribe', authenticateToken, async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.userId },
+      { $set: { subscribed: false } },
+      { new: true }
+    );
+
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Unsubscribed from alerts for this search',
+      data: {
+        savedSearch: formatSavedSearch(savedSearch)
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    console.error('Unsubscribe saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while unsubscribing'
+    });
+  }
+});
+
+// @route   DELETE /api/saved-searches/:id
+// @desc    Delete a saved search
+// @access  Private
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOneAndDelete({ _id: req.params.id, user: req.user.userId });
+
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Saved search deleted successfully'
+    });
+
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    console.error('Delete saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting saved search'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,159 @@
+const express = require('express');
+const ApiToken = require('../models/ApiToken');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MAX_ACTIVE_TOKENS = 20;
+const MAX_EXPIRY_DAYS = 365;
+
+// Shape a token document for API responses (the secret is never included)
+const formatToken = (apiToken) => ({
+  id: apiToken._id,
+  name: apiToken.name,
+  prefix: apiToken.displayPrefix,
+  scopes: apiToken.scopes,
+  lastUsedAt: apiToken.lastUsedAt,
+  lastUsedIp: apiToken.lastUsedIp,
+  expiresAt: apiToken.expiresAt,
+  revokedAt: apiToken.revokedAt,
+  createdAt: apiToken.createdAt
+});
+
+// @route   GET /api/tokens
+// @desc    List the current user's personal API tokens
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const tokens = await ApiToken.find({ user: req.user.userId })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        tokens: tokens.map(formatToken),
+        availableScopes: ApiToken.SCOPES
+      }
+    });
+
+  } catch (error) {
+    console.error('Get API tokens error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching API tokens'
+    });
+  }
+});
+
+// @route   POST /api/tokens
+// @desc    Create a named, scoped personal API token
+// @access  Private
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token name is required'
+      });
+    }
+
+    const scopeList = [...new Set(Array.isArray(scopes) ? scopes : [])];
+    const invalidScopes = scopeList.filter(scope => !ApiToken.SCOPES.includes(scope));
+    if (scopeList.length === 0 || invalidScopes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Scopes must be a non-empty list of: ${ApiToken.SCOPES.join(', ')}`
+      });
+    }
+
+    let expiresAt = null;
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = parseInt(expiresInDays);
+      if (!days || days < 1 || days > MAX_EXPIRY_DAYS) {
+        return res.status(400).json({
+          success: false,
+          message: `expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}`
+        });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const activeCount = await ApiToken.countDocuments({
+      user: req.user.userId,
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    });
+    if (activeCount >= MAX_ACTIVE_TOKENS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_ACTIVE_TOKENS} active tokens`
+      });
+    }
+
+    const { apiToken, token } = await ApiToken.mint({
+      user: req.user.userId,
+      name: String(name).trim(),
+      scopes: scopeList,
+      expiresAt
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Token created. Copy it now, it will not be shown again.',
+      data: {
+        token,
+        apiToken: formatToken(apiToken)
+      }
+    });
+
+  } catch (error) {
+    console.error('Create API token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating API token'
+    });
+  }
+});
+
+// @route   DELETE /api/tokens/:id
+// @desc    Revoke a personal API token
+// @access  Private
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const apiToken = await ApiToken.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.userId, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!apiToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'Token not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token revoked successfully'
+    });
+
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Token not found'
+      });
+    }
+
+    console.error('Revoke API token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking API token'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,314 @@
+const express = require('express');
+const User = require('../models/User');
+const RolePolicy = require('../models/RolePolicy');
+const { authenticateToken, authenticateForTwoFactorSetup, authorize } = require('../middleware/auth');
+const totp = require('../utils/totp');
+const { recordAudit } = require('../services/audit');
+
+const router = express.Router();
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'College Resource Hub';
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodeHashes +twoFactor.lastUsedStep';
+
+// @route   GET /api/auth/2fa/status
+// @desc    Get two-factor status for the current user
+// @access  Private
+router.get('/status', authenticateForTwoFactorSetup, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('+twoFactor.recoveryCodeHashes');
+
+    res.json({
+      success: true,
+      data: {
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        required: await RolePolicy.requiresTwoFactor(user.role),
+        recoveryCodesRemaining: (user.twoFactor.recoveryCodeHashes || []).length
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching two-factor status'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Generate a new TOTP secret and otpauth URI for enrollment
+// @access  Private
+router.post('/setup', authenticateForTwoFactorSetup, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl: totp.otpauthURI({ secret, accountName: user.email, issuer: TOTP_ISSUER })
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor setup'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a TOTP code and receive recovery codes
+// @access  Private
+router.post('/enable', authenticateForTwoFactorSetup, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user.userId).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    if (!user.verifyTwoFactorCode(code, { pending: true })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    await recordAudit(req, { action: 'auth.2fa.enable', targetType: 'user', targetId: user._id });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+      data: {
+        recoveryCodes
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while enabling two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication (password and code required)
+// @access  Private
+router.post('/disable', authenticateToken, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password and authentication code are required'
+      });
+    }
+
+    const user = await User.findById(req.user.userId).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (await RolePolicy.requiresTwoFactor(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role and cannot be disabled'
+      });
+    }
+
+    const passwordMatches = await user.comparePassword(password);
+    if (!passwordMatches || !user.verifyTwoFactorCode(code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password or authentication code'
+      });
+    }
+
+    user.twoFactor.enabled = false;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.recoveryCodeHashes = [];
+    user.twoFactor.enabledAt = undefined;
+    await user.save();
+
+    await recordAudit(req, { action: 'auth.2fa.disable', targetType: 'user', targetId: user._id });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while disabling two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace all recovery codes (authentication code required)
+// @access  Private
+router.post('/recovery-codes', authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user.userId).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!user.verifyTwoFactorCode(code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      data: {
+        recoveryCodes
+      }
+    });
+
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating recovery codes'
+    });
+  }
+});
+
+// @route   GET /api/auth/2fa/policies
+// @desc    List which roles require two-factor authentication
+// @access  Private (admin)
+router.get('/policies', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    const policies = await RolePolicy.find().lean();
+    const roles = User.schema.path('role').enumValues;
+
+    res.json({
+      success: true,
+      data: {
+        policies: roles.map(role => ({
+          role,
+          requireTwoFactor: Boolean(policies.find(p => p.role === role)?.requireTwoFactor)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get two-factor policies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching two-factor policies'
+    });
+  }
+});
+
+// @route   PUT /api/auth/2fa/policies/:role
+// @desc    Require (or stop requiring) two-factor authentication for a role
+// @access  Private (admin)
+router.put('/policies/:role', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    const { role } = req.params;
+    const { requireTwoFactor } = req.body;
+
+    if (!User.schema.path('role').enumValues.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unknown role'
+      });
+    }
+
+    if (typeof requireTwoFactor !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'requireTwoFactor must be true or false'
+      });
+    }
+
+    const previous = await RolePolicy.findOne({ role });
+
+    const policy = await RolePolicy.findOneAndUpdate(
+      { role },
+      { $set: { requireTwoFactor, updatedBy: req.user.userId } },
+      { new: true, upsert: true }
+    );
+
+    await recordAudit(req, {
+      action: 'policy.2fa.update',
+      targetType: 'role-policy',
+      targetId: policy._id,
+      diff: { requireTwoFactor: { from: previous ? previous.requireTwoFactor : false, to: requireTwoFactor } },
+      metadata: { role }
+    });
+
+    res.json({
+      success: true,
+      message: `Two-factor authentication is ${requireTwoFactor ? 'now required' : 'no longer required'} for ${role}s`,
+      data: {
+        policy
+      }
+    });
+
+  } catch (error) {
+    console.error('Update two-factor policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating two-factor policy'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,453 @@
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
+const { validationResult } = require('express-validator');
+const ResumableUpload = require('../models/ResumableUpload');
+const { authenticateWithScope, requireVerifiedEmail } = require('../middleware/auth');
+const {
+  ALLOWED_MIME_TYPES,
+  INVALID_FILE_TYPE_MESSAGE,
+  uploadValidation,
+  UploadError,
+  publishUpload
+} = require('../services/resourceUploads');
+
+// Resumable uploads following the tus 1.0 protocol (https://tus.io/protocols/resumable-upload)
+// with the creation, termination and expiration extensions. The final PATCH
+// publishes the resource exactly like POST /api/resources. If publishing is
+// refused because of the metadata or a duplicate, the bytes are kept: an
+// empty PATCH at the final offset, optionally with corrected Upload-Metadata,
+// tries again.
+const router = express.Router();
+
+const TUS_VERSION = '1.0.0';
+const MAX_UPLOAD_SIZE = parseInt(process.env.MAX_RESUMABLE_UPLOAD_SIZE) || 200 * 1024 * 1024;
+const UPLOAD_EXPIRY_MS = (parseInt(process.env.RESUMABLE_UPLOAD_EXPIRY_HOURS) || 24) * 60 * 60 * 1000;
+const UPLOAD_DIR = path.join(__dirname, '../uploads/tus');
+
+const requireResourcesWrite = authenticateWithScope('resources:write');
+
+// Uploads that have a PATCH streaming into them right now
+const activeUploads = new Set();
+
+// Upload-Metadata keys we keep; anything else a client sends is ignored
+const METADATA_KEYS = ['filename', 'filetype', 'title', 'description', 'subject', 'semester', 'type', 'tags', 'courseCode', 'visibility', 'allowDuplicate'];
+
+// Keys a publish retry may correct; the file's name and type are fixed at creation
+const AMENDABLE_METADATA_KEYS = METADATA_KEYS.filter(key => !['filename', 'filetype'].includes(key));
+
+// Every response carries Tus-Resumable; tus requests must send it too (OPTIONS
+// discovery and the JSON status endpoint are exempt)
+router.use((req, res, next) => {
+  res.setHeader('Tus-Resumable', TUS_VERSION);
+
+  if (!['OPTIONS', 'GET'].includes(req.method) && req.get('Tus-Resumable') !== TUS_VERSION) {
+    res.setHeader('Tus-Version', TUS_VERSION);
+    return res.status(412).json({
+      success: false,
+      message: `Tus-Resumable ${TUS_VERSION} header is required`
+    });
+  }
+
+  next();
+});
+
+// Parse "key base64value,key2 base64value2" into a plain object
+const parseMetadata = (header) => {
+  const metadata = {};
+
+  String(header || '').split(',').forEach(pair => {
+    const [key, value] = pair.trim().split(' ');
+    if (METADATA_KEYS.includes(key)) {
+      metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+  });
+
+  return metadata;
+};
+
+const setUploadHeaders = (res, upload) => {
+  res.setHeader('Upload-Offset', upload.offset);
+  res.setHeader('Upload-Length', upload.length);
+  res.setHeader('Upload-Expires', upload.expiresAt.toUTCString());
+  res.setHeader('Cache-Control', 'no-store');
+};
+
+// Load an upload owned by the current user. Sends the error response and
+// returns null when it is missing, someone else's, or expired.
+const loadUpload = async (req, res) => {
+  const upload = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await ResumableUpload.findById(req.params.id)
+    : null;
+
+  if (!upload || upload.user.toString() !== req.user.userId.toString()) {
+    res.status(404).json({
+      success: false,
+      message: 'Upload not found'
+    });
+    return null;
+  }
+
+  if (upload.isExpired()) {
+    res.status(410).json({
+      success: false,
+      message: 'Upload has expired'
+    });
+    return null;
+  }
+
+  return upload;
+};
+
+// Run the upload metadata through the same rules as a multipart upload
+const validateMetadata = async (req, metadata) => {
+  req.body = { ...metadata };
+  await Promise.all(uploadValidation.map(rule => rule.run(req)));
+};
+
+const hashFile = async (filePath) => {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+};
+
+// @route   OPTIONS /api/resources/uploads
+// @desc    Advertise tus protocol support
+// @access  Public
+router.options('/', (req, res) => {
+  res.setHeader('Tus-Version', TUS_VERSION);
+  res.setHeader('Tus-Extension', 'creation,termination,expiration');
+  res.setHeader('Tus-Max-Size', MAX_UPLOAD_SIZE);
+  res.status(204).end();
+});
+
+// @route   POST /api/resources/uploads
+// @desc    Create a resumable upload; resource fields go in Upload-Metadata
+// @access  Private
+router.post('/', requireResourcesWrite, requireVerifiedEmail, async (req, res) => {
+  try {
+    if (req.get('Upload-Defer-Length')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload-Length is required; deferred lengths are not supported'
+      });
+    }
+
+    const length = Number(req.get('Upload-Length'));
+    if (!Number.isInteger(length) || length <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A positive Upload-Length header is required'
+      });
+    }
+
+    if (length > MAX_UPLOAD_SIZE) {
+      return res.status(413).json({
+        success: false,
+        message: `File too large. Maximum size is ${Math.round(MAX_UPLOAD_SIZE / 1024 / 1024)}MB.`
+      });
+    }
+
+    const metadata = parseMetadata(req.get('Upload-Metadata'));
+
+    if (!metadata.filename) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload-Metadata must include a filename'
+      });
+    }
+
+    if (!ALLOWED_MIME_TYPES.includes(metadata.filetype)) {
+      return res.status(400).json({
+        success: false,
+        message: INVALID_FILE_TYPE_MESSAGE
+      });
+    }
+
+    // Reject bad metadata now rather than after the whole file has arrived
+    await validateMetadata(req, metadata);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await fs.promises.mkdir(UPLOAD_DIR, { recursive: true });
+
+    // Same naming as multipart uploads: timestamp-originalname
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const filename = uniqueSuffix + '-' + metadata.filename.replace(/[^a-zA-Z0-9.-]/g, '_');
+    const tempPath = path.join(UPLOAD_DIR, filename);
+    await fs.promises.writeFile(tempPath, '');
+
+    const upload = await ResumableUpload.create({
+      user: req.user.userId,
+      length,
+      metadata,
+      filename,
+      tempPath,
+      expiresAt: new Date(Date.now() + UPLOAD_EXPIRY_MS)
+    });
+
+    res.setHeader('Location', `${req.baseUrl}/${upload._id}`);
+    res.setHeader('Upload-Expires', upload.expiresAt.toUTCString());
+    res.status(201).json({
+      success: true,
+      message: 'Upload created',
+      data: {
+        id: upload._id,
+        expiresAt: upload.expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Create resumable upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating upload'
+    });
+  }
+});
+
+// @route   HEAD /api/resources/uploads/:id
+// @desc    Get the current offset to resume from
+// @access  Private
+router.head('/:id', requireResourcesWrite, async (req, res) => {
+  try {
+    const upload = await loadUpload(req, res);
+    if (!upload) return;
+
+    setUploadHeaders(res, upload);
+    res.status(200).end();
+
+  } catch (error) {
+    console.error('Resumable upload offset error:', error);
+    res.status(500).end();
+  }
+});
+
+// @route   GET /api/resources/uploads/:id
+// @desc    Get upload progress, and the resource once it is published
+// @access  Private
+router.get('/:id', requireResourcesWrite, async (req, res) => {
+  try {
+    const upload = await loadUpload(req, res);
+    if (!upload) return;
+
+    res.json({
+      success: true,
+      data: {
+        id: upload._id,
+        status: upload.status,
+        offset: upload.offset,
+        length: upload.length,
+        resource: upload.resource,
+        error: upload.error,
+        expiresAt: upload.expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Get resumable upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching upload'
+    });
+  }
+});
+
+// @route   PATCH /api/resources/uploads/:id
+// @desc    Append bytes at Upload-Offset; the final chunk publishes the resource
+// @access  Private
+router.patch('/:id', requireResourcesWrite, requireVerifiedEmail, async (req, res) => {
+  let locked = false;
+
+  try {
+    if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+      return res.status(415).json({
+        success: false,
+        message: 'Content-Type must be application/offset+octet-stream'
+      });
+    }
+
+    const upload = await loadUpload(req, res);
+    if (!upload) return;
+
+    if (upload.status !== 'uploading') {
+      return res.status(409).json({
+        success: false,
+        message: `Upload is already ${upload.status}`
+      });
+    }
+
+    const offset = Number(req.get('Upload-Offset'));
+    if (activeUploads.has(upload.id) || offset !== upload.offset) {
+      res.setHeader('Upload-Offset', upload.offset);
+      return res.status(409).json({
+        success: false,
+        message: `Upload-Offset must be ${upload.offset}`
+      });
+    }
+
+    activeUploads.add(upload.id);
+    locked = upload.id;
+
+    // Drop any bytes past the recorded offset left by an interrupted request
+    await fs.promises.truncate(upload.tempPath, upload.offset);
+
+    // Keep at most the declared length; the excess is read and dropped so the
+    // connection stays open for the error response
+    let remaining = upload.length - upload.offset;
+    let overflow = false;
+    const limit = new Transform({
+      transform(chunk, encoding, callback) {
+        if (chunk.length > remaining) {
+          overflow = true;
+          chunk = chunk.subarray(0, remaining);
+        }
+        remaining -= chunk.length;
+        callback(null, chunk);
+      }
+    });
+
+    let streamError = null;
+    try {
+      await pipeline(req, limit, fs.createWriteStream(upload.tempPath, { flags: 'a' }));
+    } catch (error) {
+      // An interrupted connection keeps whatever arrived; the client resumes from there
+      streamError = error;
+    }
+
+    // A chunk that overruns the declared length is rejected as a whole
+    if (overflow) {
+      await fs.promises.truncate(upload.tempPath, upload.offset);
+      setUploadHeaders(res, upload);
+      return res.status(413).json({
+        success: false,
+        message: 'Request body exceeds Upload-Length'
+      });
+    }
+
+    const { size } = await fs.promises.stat(upload.tempPath);
+    upload.offset = Math.min(size, upload.length);
+    upload.expiresAt = new Date(Date.now() + UPLOAD_EXPIRY_MS);
+    await upload.save();
+
+    if (streamError) {
+      if (!res.headersSent && !req.destroyed) {
+        throw streamError;
+      }
+      return;
+    }
+
+    setUploadHeaders(res, upload);
+
+    if (upload.offset < upload.length) {
+      return res.status(204).end();
+    }
+
+    // All bytes are here: publish the resource exactly like a multipart upload.
+    // A retry may correct the resource fields sent at creation.
+    const amended = parseMetadata(req.get('Upload-Metadata'));
+    AMENDABLE_METADATA_KEYS
+      .filter(key => key in amended)
+      .forEach(key => upload.metadata.set(key, amended[key]));
+
+    const metadata = Object.fromEntries(upload.metadata);
+    await validateMetadata(req, metadata);
+
+    try {
+      const resource = await publishUpload(req, {
+        path: upload.tempPath,
+        filename: upload.filename,
+        originalname: metadata.filename,
+        size: upload.length,
+        mimetype: metadata.filetype,
+        sha256: await hashFile(upload.tempPath)
+      }, { keepRejected: true });
+
+      upload.status = 'completed';
+      upload.resource = resource._id;
+      upload.error = undefined;
+      await upload.save();
+
+      res.setHeader('Location', `/api/resources/${resource._id}`);
+      res.status(201).json({
+        success: true,
+        message: resource.scanStatus === 'clean'
+          ? 'Resource uploaded successfully'
+          : 'Resource uploaded; it will be published once the malware scan finishes',
+        data: {
+          resource
+        }
+      });
+
+    } catch (error) {
+      // Refused before it reached storage: the client can fix it and retry
+      const retryable = error instanceof UploadError && fs.existsSync(upload.tempPath);
+      if (!retryable) {
+        upload.status = 'failed';
+      }
+      upload.error = error.message;
+      await upload.save();
+      throw error;
+    }
+
+  } catch (error) {
+    if (error instanceof UploadError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.body
+      });
+    }
+
+    console.error('Resumable upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while uploading resource'
+    });
+  } finally {
+    if (locked) {
+      activeUploads.delete(locked);
+    }
+  }
+});
+
+// @route   DELETE /api/resources/uploads/:id
+// @desc    Cancel an upload and discard its bytes
+// @access  Private
+router.delete('/:id', requireResourcesWrite, async (req, res) => {
+  try {
+    const upload = await loadUpload(req, res);
+    if (!upload) return;
+
+    if (activeUploads.has(upload.id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Upload is receiving data; try again when the transfer stops'
+      });
+    }
+
+    await fs.promises.rm(upload.tempPath, { force: true });
+    await ResumableUpload.deleteOne({ _id: upload._id });
+
+    res.status(204).end();
+
+  } catch (error) {
+    console.error('Delete resumable upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling upload'
+    });
+  }
+});
+
+module.exports = router;
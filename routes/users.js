@@ -1,56 +1,696 @@
-﻿const express = require('express');
+const express = require('express');
 const User = require('../models/User');
-const { auth, adminAuth } = require('../middleware/auth');
+const Resource = require('../models/Resource');
+const Rating = require('../models/Rating');
+const { authenticateToken, authenticateWithScope, authorize } = require('../middleware/auth');
+const { getUserStats, getSubjectDistribution } = require('../services/userStats');
+const { verifyUnsubscribeToken } = require('../utils/unsubscribeTokens');
 
 const router = express.Router();
 
-// Get user profile
-router.get('/:id', auth, async (req, res) => {
+// @route   GET /api/users/dashboard
+// @desc    Get dashboard statistics for current user
+// @access  Private
+router.get('/dashboard', authenticateWithScope('profile:read'), async (req, res) => {
   try {
-    if (req.params.id !== req.user._id.toString() && req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Access denied' });
+    const userId = req.user.userId;
+
+    // Shared with the weekly digest so both report the same numbers
+    const stats = await getUserStats(userId);
+
+    // Get recent activities
+    const recentUploads = await Resource.find({
+      author: userId,
+      isActive: true
+    })
+      .sort({ createdAt: -1 })
+      .limit(5)
+      .select('title subject createdAt downloadCount averageRating');
+
+    const recentRatings = await Rating.find({
+      user: userId,
+      isActive: true
+    })
+      .populate('resource', 'title subject author')
+      .populate({
+        path: 'resource',
+        populate: {
+          path: 'author',
+          select: 'name'
+        }
+      })
+      .sort({ createdAt: -1 })
+      .limit(5);
+
+    // Get subject distribution of user's uploads
+    const subjectStats = await getSubjectDistribution(userId);
+
+    res.json({
+      success: true,
+      data: {
+        stats,
+        recentActivity: {
+          uploads: recentUploads,
+          ratings: recentRatings
+        },
+        subjectDistribution: subjectStats
+      }
+    });
+
+  } catch (error) {
+    console.error('Dashboard error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching dashboard data'
+    });
+  }
+});
+
+// @route   GET /api/users/my-resources
+// @desc    Get current user's uploaded resources with detailed stats
+// @access  Private
+router.get('/my-resources', authenticateWithScope('profile:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, sortBy = 'createdAt', order = 'desc' } = req.query;
+
+    let sort = {};
+    switch (sortBy) {
+      case 'downloads':
+        sort.downloadCount = order === 'desc' ? -1 : 1;
+        break;
+      case 'rating':
+        sort.averageRating = order === 'desc' ? -1 : 1;
+        break;
+      case 'title':
+        sort.title = order === 'desc' ? -1 : 1;
+        break;
+      case 'views':
+        sort.views = order === 'desc' ? -1 : 1;
+        break;
+      default:
+        sort.createdAt = order === 'desc' ? -1 : 1;
     }
 
-    const user = await User.findById(req.params.id)
-      .select('-password')
-      .populate('uploadedResources', 'title subject type averageRating downloadCount')
-      .populate('downloadedResources', 'title subject type');
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const resources = await Resource.find({
+      author: req.user.userId,
+      isActive: true
+    })
+      .sort(sort)
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('author', 'name university major');
 
+    const total = await Resource.countDocuments({
+      author: req.user.userId,
+      isActive: true
+    });
+
+    // Get overall stats for user's resources
+    const overallStats = await Resource.aggregate([
+      { $match: { author: req.user.userId, isActive: true } },
+      {
+        $group: {
+          _id: null,
+          totalResources: { $sum: 1 },
+          totalDownloads: { $sum: '$downloadCount' },
+          totalViews: { $sum: '$views' },
+          averageRating: { $avg: '$averageRating' },
+          totalRatings: { $sum: '$totalRatings' }
+        }
+      }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        resources,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / parseInt(limit)),
+          hasNext: skip + parseInt(limit) < total,
+          hasPrev: parseInt(page) > 1,
+          totalResources: total
+        },
+        overallStats: overallStats[0] || {
+          totalResources: 0,
+          totalDownloads: 0,
+          totalViews: 0,
+          averageRating: 0,
+          totalRatings: 0
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get my resources error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching your resources'
+    });
+  }
+});
+
+// @route   GET /api/users/subjects
+// @desc    Get all available subjects
+// @access  Public
+router.get('/subjects', async (req, res) => {
+  try {
+    const subjects = await Resource.distinct('subject', { isActive: true });
+    
+    // Get resource count per subject
+    const subjectStats = await Resource.aggregate([
+      { $match: { isActive: true } },
+      { $group: { _id: '$subject', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        subjects,
+        stats: subjectStats
+      }
+    });
+
+  } catch (error) {
+    console.error('Get subjects error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching subjects'
+    });
+  }
+});
+
+// @route   GET /api/users/semesters
+// @desc    Get all available semesters
+// @access  Public
+router.get('/semesters', async (req, res) => {
+  try {
+    const semesters = await Resource.distinct('semester', { isActive: true });
+    
+    // Get resource count per semester
+    const semesterStats = await Resource.aggregate([
+      { $match: { isActive: true } },
+      { $group: { _id: '$semester', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        semesters,
+        stats: semesterStats
+      }
+    });
+
+  } catch (error) {
+    console.error('Get semesters error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching semesters'
+    });
+  }
+});
+
+// @route   GET /api/users/resource-types
+// @desc    Get all available resource types
+// @access  Public
+router.get('/resource-types', async (req, res) => {
+  try {
+    const types = await Resource.distinct('type', { isActive: true });
+    
+    // Get resource count per type
+    const typeStats = await Resource.aggregate([
+      { $match: { isActive: true } },
+      { $group: { _id: '$type', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        types,
+        stats: typeStats
+      }
+    });
+
+  } catch (error) {
+    console.error('Get resource types error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching resource types'
+    });
+  }
+});
+
+// @route   GET /api/users/profile/:userId
+// @desc    Get public user profile
+// @access  Public
+router.get('/profile/:userId', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('-password');
+    
     if (!user || !user.isActive) {
-      return res.status(404).json({ message: 'User not found' });
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
     }
 
-    res.json({ user });
+    // Get user's public stats
+    const resourceCount = await Resource.countDocuments({
+      author: req.params.userId,
+      isActive: true
+    });
+
+    const totalDownloads = await Resource.aggregate([
+      { $match: { author: user._id, isActive: true } },
+      { $group: { _id: null, total: { $sum: '$downloadCount' } } }
+    ]);
+
+    const avgRating = await Resource.aggregate([
+      { $match: { author: user._id, isActive: true, totalRatings: { $gt: 0 } } },
+      { $group: { _id: null, avg: { $avg: '$averageRating' } } }
+    ]);
+
+    const ratingsGiven = await Rating.countDocuments({
+      user: req.params.userId,
+      isActive: true
+    });
+
+    // Get user's recent resources (public)
+    const recentResources = await Resource.find({
+      author: req.params.userId,
+      isActive: true,
+      visibility: { $ne: 'institution-only' }
+    })
+      .sort({ createdAt: -1 })
+      .limit(5)
+      .select('title subject type createdAt averageRating downloadCount');
+
+    // Get subject distribution
+    const subjectStats = await Resource.aggregate([
+      { $match: { author: user._id, isActive: true } },
+      { $group: { _id: '$subject', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          university: user.university,
+          major: user.major,
+          year: user.year,
+          joinedDate: user.createdAt
+        },
+        stats: {
+          resourcesUploaded: resourceCount,
+          totalDownloads: totalDownloads[0]?.total || 0,
+          averageRating: Math.round((avgRating[0]?.avg || 0) * 10) / 10,
+          ratingsGiven
+        },
+        recentResources,
+        subjectDistribution: subjectStats
+      }
+    });
 
   } catch (error) {
-    console.error('Get user error:', error);
-    res.status(500).json({ message: 'Server error while fetching user' });
+    console.error('Get user profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching user profile'
+    });
   }
 });
 
-// Get user leaderboard by reputation
-router.get('/leaderboard/reputation', async (req, res) => {
+// Send the leaderboard of the given type: uploads, downloads, ratings or reputation
+const sendLeaderboard = async (req, res, type) => {
   try {
-    const limit = parseInt(req.query.limit) || 10;
+    const { limit = 10 } = req.query;
+
+    let pipeline = [];
+
+    switch (type) {
+      case 'downloads':
+        pipeline = [
+          {
+            $lookup: {
+              from: 'resources',
+              localField: '_id',
+              foreignField: 'author',
+              as: 'resources'
+            }
+          },
+          {
+            $match: {
+              isActive: true,
+              'resources.isActive': true
+            }
+          },
+          {
+            $addFields: {
+              totalDownloads: {
+                $sum: {
+                  $map: {
+                    input: '$resources',
+                    as: 'resource',
+                    in: { $cond: [{ $eq: ['$$resource.isActive', true] }, '$$resource.downloadCount', 0] }
+                  }
+                }
+              }
+            }
+          },
+          { $sort: { totalDownloads: -1 } },
+          { $limit: parseInt(limit) }
+        ];
+        break;
 
-    const users = await User.find({ isActive: true })
-      .select('name department reputation uploadedResources')
-      .populate('uploadedResources', 'title')
-      .sort({ reputation: -1 })
-      .limit(limit)
-      .lean();
+      case 'ratings':
+        pipeline = [
+          {
+            $lookup: {
+              from: 'resources',
+              localField: '_id',
+              foreignField: 'author',
+              as: 'resources'
+            }
+          },
+          {
+            $match: {
+              isActive: true,
+              'resources.isActive': true
+            }
+          },
+          {
+            $addFields: {
+              averageRating: {
+                $avg: {
+                  $map: {
+                    input: { $filter: { input: '$resources', cond: { $and: [{ $eq: ['$$this.isActive', true] }, { $gt: ['$$this.totalRatings', 0] }] } } },
+                    as: 'resource',
+                    in: '$$resource.averageRating'
+                  }
+                }
+              },
+              totalRatings: {
+                $sum: {
+                  $map: {
+                    input: { $filter: { input: '$resources', cond: { $eq: ['$$this.isActive', true] } } },
+                    as: 'resource',
+                    in: '$$resource.totalRatings'
+                  }
+                }
+              }
+            }
+          },
+          { $match: { totalRatings: { $gte: 3 } } }, // Only users with at least 3 ratings
+          { $sort: { averageRating: -1, totalRatings: -1 } },
+          { $limit: parseInt(limit) }
+        ];
+        break;
 
-    res.json({ leaderboard: users });
+      case 'reputation':
+        pipeline = [
+          { $match: { isActive: true } },
+          { $sort: { reputation: -1 } },
+          { $limit: parseInt(limit) }
+        ];
+        break;
+
+      default: // uploads
+        pipeline = [
+          {
+            $lookup: {
+              from: 'resources',
+              localField: '_id',
+              foreignField: 'author',
+              as: 'resources'
+            }
+          },
+          {
+            $match: {
+              isActive: true
+            }
+          },
+          {
+            $addFields: {
+              resourceCount: {
+                $size: { $filter: { input: '$resources', cond: { $eq: ['$$this.isActive', true] } } }
+              }
+            }
+          },
+          { $match: { resourceCount: { $gt: 0 } } },
+          { $sort: { resourceCount: -1 } },
+          { $limit: parseInt(limit) }
+        ];
+    }
+
+    // Add projection to limit returned fields
+    pipeline.push({
+      $project: {
+        name: 1,
+        university: 1,
+        major: 1,
+        createdAt: 1,
+        reputation: 1,
+        resourceCount: 1,
+        totalDownloads: 1,
+        averageRating: 1,
+        totalRatings: 1
+      }
+    });
+
+    const leaderboard = await User.aggregate(pipeline);
+
+    res.json({
+      success: true,
+      data: {
+        leaderboard,
+        type,
+        total: leaderboard.length
+      }
+    });
 
   } catch (error) {
     console.error('Get leaderboard error:', error);
-    res.status(500).json({ message: 'Server error while fetching leaderboard' });
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching leaderboard'
+    });
+  }
+};
+
+// @route   GET /api/users/leaderboard
+// @desc    Get user leaderboard
+// @access  Public
+router.get('/leaderboard', (req, res) => sendLeaderboard(req, res, req.query.type || 'uploads'));
+
+// @route   GET /api/users/leaderboard/reputation
+// @desc    Reputation leaderboard (same as /leaderboard?type=reputation)
+// @access  Public
+router.get('/leaderboard/reputation', (req, res) => sendLeaderboard(req, res, 'reputation'));
+
+// Shape a user's email and following preferences for API responses
+const formatPreferences = (user) => ({
+  weeklyDigest: user.digest ? user.digest.weekly !== false : true,
+  followedSubjects: user.followedSubjects || [],
+  lastDigestSentAt: user.digest ? user.digest.lastSentAt : null,
+  availableSubjects: Resource.SUBJECTS
+});
+
+// @route   GET /api/users/preferences
+// @desc    Get the current user's digest and followed subject preferences
+// @access  Private
+router.get('/preferences', authenticateWithScope('profile:read'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('digest followedSubjects');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        preferences: formatPreferences(user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching preferences'
+    });
   }
 });
 
-// Test route
-router.get('/test', (req, res) => {
-  res.json({ message: 'User routes working!' });
+// @route   PUT /api/users/preferences
+// @desc    Turn the weekly digest on or off and choose followed subjects
+// @access  Private
+router.put('/preferences', authenticateToken, async (req, res) => {
+  try {
+    const { weeklyDigest, followedSubjects } = req.body;
+    const update = {};
+
+    if (weeklyDigest !== undefined) {
+      if (typeof weeklyDigest !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          message: 'weeklyDigest must be true or false'
+        });
+      }
+      update['digest.weekly'] = weeklyDigest;
+    }
+
+    if (followedSubjects !== undefined) {
+      const subjects = Array.isArray(followedSubjects) ? [...new Set(followedSubjects)] : null;
+      if (!subjects || subjects.some(subject => !Resource.SUBJECTS.includes(subject))) {
+        return res.status(400).json({
+          success: false,
+          message: `Followed subjects must be a list of: ${Resource.SUBJECTS.join(', ')}`
+        });
+      }
+      update.followedSubjects = subjects;
+    }
+
+    const user = await User.findByIdAndUpdate(req.user.userId, { $set: update }, { new: true })
+      .select('digest followedSubjects');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Preferences updated successfully',
+      data: {
+        preferences: formatPreferences(user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Update preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating preferences'
+    });
+  }
+});
+
+// @route   POST /api/users/digest/unsubscribe
+// @desc    Stop weekly digests using the signed token from a digest email
+// @access  Public
+router.post('/digest/unsubscribe', async (req, res) => {
+  try {
+    const userId = verifyUnsubscribeToken(req.body.token, 'digest');
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid unsubscribe link'
+      });
+    }
+
+    await User.updateOne({ _id: userId }, { $set: { 'digest.weekly': false } });
+
+    res.json({
+      success: true,
+      message: 'You have been unsubscribed from the weekly digest'
+    });
+
+  } catch (error) {
+    console.error('Digest unsubscribe error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while unsubscribing'
+    });
+  }
+});
+
+// @route   GET /api/users/:id
+// @desc    Get user details (admin only or own profile)
+// @access  Private
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is requesting their own profile or is admin
+    if (req.params.id !== req.user.userId.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view your own detailed profile.'
+      });
+    }
+
+    const user = await User.findById(req.params.id).select('-password');
+
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Get detailed stats
+    const resourceStats = await Resource.aggregate([
+      { $match: { author: user._id, isActive: true } },
+      {
+        $group: {
+          _id: null,
+          totalResources: { $sum: 1 },
+          totalDownloads: { $sum: '$downloadCount' },
+          totalViews: { $sum: '$views' },
+          averageRating: { $avg: '$averageRating' },
+          totalRatings: { $sum: '$totalRatings' }
+        }
+      }
+    ]);
+
+    const ratingStats = await Rating.aggregate([
+      { $match: { user: user._id, isActive: true } },
+      {
+        $group: {
+          _id: null,
+          totalRatingsGiven: { $sum: 1 },
+          averageRatingGiven: { $avg: '$rating' }
+        }
+      }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        stats: {
+          resources: resourceStats[0] || {
+            totalResources: 0,
+            totalDownloads: 0,
+            totalViews: 0,
+            averageRating: 0,
+            totalRatings: 0
+          },
+          ratings: ratingStats[0] || {
+            totalRatingsGiven: 0,
+            averageRatingGiven: 0
+          }
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching user details'
+    });
+  }
 });
 
-module.exports = router;
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,163 @@
+// Move resource files from one storage driver to another and rewrite the
+// storage/filePath fields that point at them.
+//
+//   npm run storage:migrate -- --to s3 [--from local] [--delete-source] [--dry-run]
+//
+// Safe to re-run: files already on the target driver are skipped.
+require('dotenv').config();
+const path = require('path');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Resource = require('../models/Resource');
+const StoredFile = require('../models/StoredFile');
+const { DRIVERS, getStorage } = require('../services/storage');
+
+const parseArgs = (argv) => {
+  const options = { from: 'local', to: null, deleteSource: false, dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--from':
+        options.from = argv[++i];
+        break;
+      case '--to':
+        options.to = argv[++i];
+        break;
+      case '--delete-source':
+        options.deleteSource = true;
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  if (!DRIVERS.includes(options.from) || !DRIVERS.includes(options.to) || options.from === options.to) {
+    throw new Error(`--from and --to must be two different drivers: ${DRIVERS.join(', ')}`);
+  }
+
+  return options;
+};
+
+// Files saved before storage drivers existed have absolute local paths
+const targetKeyFor = (filePath) => {
+  return path.isAbsolute(filePath) ? `resources/${path.basename(filePath)}` : filePath;
+};
+
+// Copy one file between drivers and return its key on the target
+const copyFile = async (source, target, file) => {
+  const key = targetKeyFor(file.filePath);
+
+  const stats = await source.stat(file.filePath);
+  if (!stats) {
+    throw new Error(`missing on ${source.name}: ${file.filePath}`);
+  }
+
+  await target.put(key, await source.get(file.filePath), {
+    size: stats.size,
+    contentType: file.mimeType
+  });
+
+  return key;
+};
+
+const migrate = async ({ from, to, deleteSource, dryRun }) => {
+  const source = getStorage(from);
+  const target = getStorage(to);
+  const summary = { resources: 0, files: 0, failed: 0 };
+
+  // Deduplicated files are shared between resources: copy each one once and
+  // only delete sources after every reference has been rewritten
+  const copied = new Map();
+
+  // Include inactive resources; their earlier versions are still referenced
+  const cursor = Resource.find({
+    $or: [{ storage: from }, { 'versions.storage': from }, ...(from === 'local' ? [{ storage: null }] : [])]
+  }).cursor();
+
+  for await (const resource of cursor) {
+    const moved = new Map();
+    const files = [resource, ...resource.versions].filter(file => (file.storage || 'local') === from);
+
+    for (const file of files) {
+      if (moved.has(file.filePath)) continue;
+
+      if (copied.has(file.filePath)) {
+        moved.set(file.filePath, copied.get(file.filePath));
+        continue;
+      }
+
+      try {
+        const key = dryRun ? targetKeyFor(file.filePath) : await copyFile(source, target, file);
+        moved.set(file.filePath, key);
+        copied.set(file.filePath, key);
+        summary.files += 1;
+        console.log(`${dryRun ? '[dry run] ' : ''}${resource._id}: ${file.filePath} -> ${to}:${key}`);
+      } catch (error) {
+        summary.failed += 1;
+        console.error(`${resource._id}: ${error.message}`);
+      }
+    }
+
+    if (moved.size === 0) continue;
+
+    summary.resources += 1;
+    if (dryRun) continue;
+
+    const update = {};
+    if (moved.has(resource.filePath) && (resource.storage || 'local') === from) {
+      update.storage = to;
+      update.filePath = moved.get(resource.filePath);
+    }
+    resource.versions.forEach((version, index) => {
+      if ((version.storage || 'local') === from && moved.has(version.filePath)) {
+        update[`versions.${index}.storage`] = to;
+        update[`versions.${index}.filePath`] = moved.get(version.filePath);
+      }
+    });
+
+    // updateOne skips validation, so resources with legacy data still migrate
+    await Resource.updateOne({ _id: resource._id }, { $set: update });
+  }
+
+  if (!dryRun && copied.size > 0) {
+    // Legacy files get a new key on the target, so each record is rewritten
+    // with its own
+    await StoredFile.bulkWrite([...copied].map(([filePath, key]) => ({
+      updateOne: {
+        filter: { storage: from, key: filePath },
+        update: { $set: { storage: to, key } }
+      }
+    })));
+
+    if (deleteSource) {
+      for (const filePath of copied.keys()) {
+        await source.delete(filePath);
+      }
+    }
+  }
+
+  return summary;
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  await connectDB();
+  const summary = await migrate(options);
+
+  console.log(`Moved ${summary.files} file(s) across ${summary.resources} resource(s) from ${options.from} to ${options.to}` +
+    (options.dryRun ? ' (dry run)' : '') +
+    (summary.failed ? `; ${summary.failed} failed` : ''));
+
+  await mongoose.connection.close();
+  process.exit(summary.failed ? 1 : 0);
+};
+
+main().catch(async (error) => {
+  console.error('Storage migration failed:', error.message);
+  await mongoose.connection.close();
+  process.exit(1);
+});
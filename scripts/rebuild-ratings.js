@@ -0,0 +1,56 @@
+// Recompute every resource's embedded ratings, average and count from the
+// Rating collection:
+//
+//   npm run ratings:rebuild                          (all resources)
+//   npm run ratings:rebuild -- --resource <id>       (one resource; repeatable)
+//   npm run ratings:rebuild -- --no-backfill
+//
+// Ratings that only exist on a resource (written before every rating went
+// through the Rating collection) are copied into the collection first, unless
+// --no-backfill is given, in which case they are dropped.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { rebuildRatingAggregates } = require('../services/ratings');
+
+const parseArgs = (argv) => {
+  const options = { resourceIds: null, backfill: true };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--resource': {
+        const id = argv[++i];
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+          throw new Error(`Invalid resource id: ${id}`);
+        }
+        options.resourceIds = [...(options.resourceIds || []), id];
+        break;
+      }
+      case '--no-backfill':
+        options.backfill = false;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return options;
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  await connectDB();
+
+  const { resources, backfilled } = await rebuildRatingAggregates(options);
+  console.log(`Rebuilt ratings of ${resources} resource(s); copied ${backfilled} rating(s) into the Rating collection`);
+
+  await mongoose.connection.close();
+  process.exit(0);
+};
+
+main().catch(async (error) => {
+  console.error('Rebuilding ratings failed:', error.message);
+  await mongoose.connection.close();
+  process.exit(1);
+});
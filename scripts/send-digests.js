@@ -0,0 +1,63 @@
+// Send weekly digests now instead of waiting for the hourly scheduler, e.g.
+// to check them in a local SMTP catcher such as MailHog:
+//
+//   MAIL_TRANSPORT=smtp SMTP_PORT=1025 npm run digests:send -- --user student@example.edu [--force]
+//   npm run digests:send            (every user who is due, as the scheduler would)
+//
+// --force sends a digest even when the week had no news.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const User = require('../models/User');
+const { sendWeeklyDigest, runWeeklyDigests } = require('../services/digests');
+
+const parseArgs = (argv) => {
+  const options = { email: null, force: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--user':
+        options.email = argv[++i];
+        break;
+      case '--force':
+        options.force = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  if (options.force && !options.email) {
+    throw new Error('--force needs --user');
+  }
+
+  return options;
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  await connectDB();
+
+  if (options.email) {
+    const user = await User.findByEmail(options.email);
+    if (!user) {
+      throw new Error(`No user with email ${options.email}`);
+    }
+
+    const digest = await sendWeeklyDigest(user, { force: options.force });
+    console.log(digest ? `Sent a digest to ${user.email}` : `Nothing to report for ${user.email}; use --force to send anyway`);
+  } else {
+    const { checked, sent } = await runWeeklyDigests();
+    console.log(`Checked ${checked} user(s), sent ${sent} digest(s)`);
+  }
+
+  await mongoose.connection.close();
+  process.exit(0);
+};
+
+main().catch(async (error) => {
+  console.error('Sending digests failed:', error.message);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -13,8 +13,29 @@ const connectDB = require('./config/db');
 // Import routes
 const authRoutes = require('./routes/auth');
 const resourceRoutes = require('./routes/resources');
+const uploadRoutes = require('./routes/uploads');
+const commentRoutes = require('./routes/comments');
+const fileRoutes = require('./routes/files');
 const ratingRoutes = require('./routes/ratings');
 const userRoutes = require('./routes/users');
+const institutionRoutes = require('./routes/institutions');
+const tokenRoutes = require('./routes/tokens');
+const savedSearchRoutes = require('./routes/savedSearches');
+const notificationRoutes = require('./routes/notifications');
+const moderationRoutes = require('./routes/moderation');
+const adminRoutes = require('./routes/admin');
+const { getDefaultDriverName } = require('./services/storage');
+const { getScanner } = require('./services/scanner');
+const { rescanPending } = require('./services/scanning');
+const { generateMissingPreviews } = require('./services/previews');
+const { indexMissingContent } = require('./services/contentIndex');
+const { runSavedSearchAlerts } = require('./services/savedSearchAlerts');
+const { runWeeklyDigests } = require('./services/digests');
+const ResumableUpload = require('./models/ResumableUpload');
+const { getTransport } = require('./services/mail');
+
+// Fail at startup, not on the first email, when mail is misconfigured
+getTransport();
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -53,7 +74,7 @@ const limiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   skip: (req) => {
-    return req.url.startsWith('/uploads/');
+    return req.url.startsWith('/files/');
   }
 });
 
@@ -80,18 +101,17 @@ const uploadLimiter = rateLimit({
 app.use(cors({
   origin: true, // Allow all origins in development
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  methods: ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Tus-Resumable', 'Upload-Length', 'Upload-Offset', 'Upload-Metadata', 'Upload-Defer-Length', 'Range', 'If-Range', 'If-None-Match', 'If-Modified-Since'],
+  exposedHeaders: ['Location', 'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Max-Size', 'Upload-Offset', 'Upload-Length', 'Upload-Expires', 'Accept-Ranges', 'Content-Range', 'Content-Disposition', 'ETag', 'X-Resource-Version'],
 }));
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Static file serving for uploads
-app.use('/uploads', express.static(path.join(__dirname, 'uploads'), {
-  maxAge: '1d'
-}));
+// Uploaded files are only reachable through signed, expiring links
+app.use('/files', fileRoutes);
 
 // Request logging middleware (development)
 if (process.env.NODE_ENV === 'development') {
@@ -123,19 +143,93 @@ app.get('/api', (req, res) => {
       'GET /api/health': 'Health check',
       'POST /api/auth/register': 'Register a new user',
       'POST /api/auth/login': 'Login user',
-      'GET /api/resources': 'Get all resources',
+      'POST /api/auth/login/2fa': 'Complete a two-factor login with a TOTP or recovery code',
+      'POST /api/auth/refresh': 'Exchange a refresh token for new tokens',
+      'POST /api/auth/logout': 'Revoke the current session (auth required)',
+      'POST /api/auth/logout-all': 'Revoke all sessions (auth required)',
+      'GET /api/auth/sessions': 'List active sessions (auth required)',
+      'POST /api/auth/verify-email': 'Confirm an email address',
+      'POST /api/auth/2fa/setup': 'Start TOTP enrollment (auth required)',
+      'POST /api/auth/2fa/enable': 'Confirm TOTP enrollment (auth required)',
+      'PUT /api/auth/2fa/policies/:role': 'Require 2FA for a role (admin only)',
+      'POST /api/auth/forgot-password': 'Request a password reset email',
+      'POST /api/auth/reset-password': 'Reset password with an emailed token',
+      'GET /api/resources': 'Get all resources; search supports "phrases", -exclusions and sortBy=relevance',
+      'GET /api/resources?facets=true': 'Also return filter counts for the current query',
+      'GET /api/resources/suggest': 'Autocomplete titles, tags and course codes',
       'POST /api/resources': 'Upload new resource (auth required)',
+      'POST /api/resources/uploads': 'Start a resumable tus upload (auth required)',
+      'PATCH /api/resources/uploads/:id': 'Append to a tus upload; the last chunk publishes the resource',
+      'HEAD /api/resources/uploads/:id': 'Get the offset to resume a tus upload from',
+      'DELETE /api/resources/uploads/:id': 'Cancel a tus upload',
       'POST /api/ratings': 'Rate a resource (auth required)',
+      'GET /api/ratings/resource/:resourceId': 'List visible reviews, ?sort=helpful|recent|critical',
+      'POST /api/ratings/:id/helpful': 'Toggle a helpful vote on a review (auth required)',
       'GET /api/users/dashboard': 'Get dashboard stats (auth required)',
+      'GET /api/users/preferences': 'Get weekly digest and followed subject preferences (auth required)',
+      'PUT /api/users/preferences': 'Update weekly digest and followed subject preferences (auth required)',
+      'POST /api/users/digest/unsubscribe': 'Stop weekly digests with the signed token from a digest email',
+      'GET /api/institutions': 'List institutions and their email domains',
+      'POST /api/institutions': 'Create an institution (admin only)',
+      'GET /api/tokens': 'List personal API tokens (auth required)',
+      'POST /api/tokens': 'Create a scoped personal API token (auth required)',
+      'DELETE /api/tokens/:id': 'Revoke a personal API token (auth required)',
+      'GET /api/saved-searches': 'List saved searches (auth required)',
+      'POST /api/saved-searches': 'Save a resource search with instant, daily or weekly alerts (auth required)',
+      'PUT /api/saved-searches/:id': 'Update a saved search (auth required)',
+      'POST /api/saved-searches/:id/unsubscribe': 'Stop alerts for a saved search (auth required)',
+      'DELETE /api/saved-searches/:id': 'Delete a saved search (auth required)',
+      'GET /api/notifications': 'List notifications with the unread count (auth required)',
+      'GET /api/notifications/unread-count': 'Count unread notifications (auth required)',
+      'GET /api/notifications/stream': 'Live notifications over Server-Sent Events (auth required, token may be ?access_token=)',
+      'POST /api/notifications/:id/read': 'Mark a notification as read (auth required)',
+      'POST /api/notifications/read-all': 'Mark all notifications as read (auth required)',
+      'POST /api/resources/:id/report': 'Report a resource (auth required)',
+      'GET /api/resources/:id/comments': 'List question threads with replies, pinned first',
+      'POST /api/resources/:id/comments': 'Ask a question or reply with { parent }; @[Name](userId) mentions notify (auth required)',
+      'PUT /api/resources/:id/comments/:commentId': 'Edit your comment, keeping its history (auth required)',
+      'DELETE /api/resources/:id/comments/:commentId': 'Delete your comment (auth required)',
+      'GET /api/resources/:id/comments/:commentId/history': 'Earlier versions of an edited comment',
+      'POST /api/resources/:id/comments/:commentId/pin': 'Pin a comment (resource author only)',
+      'DELETE /api/resources/:id/comments/:commentId/pin': 'Unpin a comment (resource author only)',
+      'POST /api/resources/:id/comments/:commentId/report': 'Report a comment (auth required)',
+      'POST /api/resources/:id/download-link': 'Get a signed, expiring download URL (auth required)',
+      'GET /api/resources/:id/preview': 'Get a thumbnail or text snippet of a resource',
+      'GET /api/resources/:id/versions': 'List file versions of a resource',
+      'POST /api/resources/:id/versions': 'Upload a new file version with a changelog (author only)',
+      'POST /api/resources/:id/versions/:version/rollback': 'Roll back to an earlier version (author only)',
+      'GET /api/resources/my/updates': 'Downloaded resources with a newer version (auth required)',
+      'POST /api/ratings/:id/report': 'Report a rating with a reason category (auth required)',
+      'GET /api/moderation/queue': 'Reported content queue (moderator/admin)',
+      'POST /api/moderation/:targetType/:id/actions': 'Dismiss, hide, restore, delete or warn (moderator/admin)',
+      'GET /api/moderation/my-actions': 'Moderation decisions about your content (auth required)',
+      'GET /api/admin/users': 'Search users (admin only)',
+      'PUT /api/admin/users/:id/role': 'Change a user role (admin only)',
+      'POST /api/admin/users/:id/suspend': 'Suspend a user with a reason (admin only)',
+      'POST /api/admin/users/:id/ban': 'Permanently ban a user (admin only)',
+      'POST /api/admin/users/:id/force-password-reset': 'Require a password reset (admin only)',
+      'GET /api/admin/quarantine': 'List uploads flagged by the malware scanner (admin only)',
+      'POST /api/admin/quarantine/:id/versions/:version/release': 'Release a false positive (admin only)',
+      'GET /api/admin/audit-events': 'Search the audit log (admin only)',
+      'GET /api/admin/audit-events/export': 'Export the audit log as CSV (admin only)',
     }
   });
 });
 
 // Routes with rate limiting applied individually
 app.use('/api/auth', authLimiter, authRoutes);
+// Resumable uploads send many small requests, so they use the general limiter
+app.use('/api/resources/uploads', limiter, uploadRoutes);
+app.use('/api/resources/:id/comments', limiter, commentRoutes);
 app.use('/api/resources', uploadLimiter, resourceRoutes);
 app.use('/api/ratings', limiter, ratingRoutes);
 app.use('/api/users', limiter, userRoutes);
+app.use('/api/institutions', limiter, institutionRoutes);
+app.use('/api/tokens', limiter, tokenRoutes);
+app.use('/api/saved-searches', limiter, savedSearchRoutes);
+app.use('/api/notifications', limiter, notificationRoutes);
+app.use('/api/moderation', limiter, moderationRoutes);
+app.use('/api/admin', limiter, adminRoutes);
 
 // Serve static frontend files
 const frontendBuildPath = path.join(__dirname, 'public');
@@ -246,6 +340,8 @@ const server = app.listen(PORT, () => {
   console.log(`📡 Server running on port ${PORT}`);
   console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`💾 Database: ${process.env.MONGODB_URI ? 'MongoDB configured' : 'Local MongoDB'}`);
+  console.log(`🗄️  File storage: ${getDefaultDriverName()}`);
+  console.log(`🛡️  Malware scanner: ${getScanner().name}`);
   console.log('=====================================');
   console.log(`📋 API Documentation: http://localhost:${PORT}/api`);
   console.log(`❤️  Health Check: http://localhost:${PORT}/api/health`);
@@ -259,6 +355,50 @@ const server = app.listen(PORT, () => {
   }
 });
 
+// Clean up abandoned resumable uploads every hour
+setInterval(() => {
+  ResumableUpload.removeExpired()
+    .then(count => count > 0 && console.log(`Removed ${count} expired upload(s)`))
+    .catch(error => console.error('Expired upload cleanup error:', error));
+}, 60 * 60 * 1000).unref();
+
+// Retry malware scans that failed (e.g. clamd was down) or were cut short
+setInterval(() => {
+  rescanPending()
+    .then(count => count > 0 && console.log(`Rescanned ${count} pending upload(s)`))
+    .catch(error => console.error('Pending scan retry error:', error));
+}, 5 * 60 * 1000).unref();
+
+// Generate previews that are missing, e.g. for resources uploaded before
+// previews existed or whose job was lost in a restart
+setInterval(() => {
+  generateMissingPreviews()
+    .then(count => count > 0 && console.log(`Generated ${count} preview(s)`))
+    .catch(error => console.error('Preview generation error:', error));
+}, 10 * 60 * 1000).unref();
+
+// Index the text of files uploaded before content search existed, or whose
+// indexing job was lost in a restart
+setInterval(() => {
+  indexMissingContent()
+    .then(count => count > 0 && console.log(`Indexed ${count} resource(s) for search`))
+    .catch(error => console.error('Content indexing error:', error));
+}, 10 * 60 * 1000).unref();
+
+// Match newly published resources against saved searches that are due
+setInterval(() => {
+  runSavedSearchAlerts()
+    .then(count => count > 0 && console.log(`Checked ${count} saved search(es) for new matches`))
+    .catch(error => console.error('Saved search alert error:', error));
+}, 60 * 1000).unref();
+
+// Email weekly digests to users who are due one
+setInterval(() => {
+  runWeeklyDigests()
+    .then(({ sent }) => sent > 0 && console.log(`Sent ${sent} weekly digest(s)`))
+    .catch(error => console.error('Weekly digest error:', error));
+}, 60 * 60 * 1000).unref();
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received. Shutting down gracefully...');
@@ -0,0 +1,46 @@
+const AuditEvent = require('../models/AuditEvent');
+
+// Compare selected fields of two plain objects; returns { field: { from, to } }
+// for the fields that changed, or undefined when nothing did
+const diffFields = (before, after, fields) => {
+  const diff = {};
+
+  fields.forEach(field => {
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      diff[field] = { from, to };
+    }
+  });
+
+  return Object.keys(diff).length > 0 ? diff : undefined;
+};
+
+// Append an audit event for the current request, or for a background job
+// when req is null. Failures are logged and swallowed so auditing can never
+// break the action being audited.
+const recordAudit = async (req, { action, actor, actorEmail, targetType, targetId, diff, metadata }) => {
+  try {
+    const user = req && req.user;
+    const actorId = actor !== undefined ? actor : (user ? user.userId : null);
+
+    await AuditEvent.create({
+      action,
+      actor: actorId,
+      actorEmail: actorEmail || (user ? user.email : undefined),
+      targetType,
+      targetId,
+      ip: req ? req.ip : undefined,
+      userAgent: req ? (req.get('user-agent') || '').slice(0, 500) : undefined,
+      diff,
+      metadata
+    });
+  } catch (error) {
+    console.error(`Audit log error (${action}):`, error);
+  }
+};
+
+module.exports = {
+  diffFields,
+  recordAudit
+};
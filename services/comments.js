@@ -0,0 +1,242 @@
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const { createNotification, shorten } = require('./notifications');
+
+// Error carrying the HTTP status a route should respond with
+class CommentError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'CommentError';
+    this.status = status;
+  }
+}
+
+const sameId = (a, b) => Boolean(a && b) && (a._id || a).toString() === (b._id || b).toString();
+
+const validateBody = (body) => {
+  const text = typeof body === 'string' ? body.trim() : '';
+  if (!text) {
+    throw new CommentError(400, 'Comment text is required');
+  }
+  if (text.length > Comment.MAX_BODY_LENGTH) {
+    throw new CommentError(400, `Comments cannot exceed ${Comment.MAX_BODY_LENGTH} characters`);
+  }
+  return text;
+};
+
+// Mentioned users that exist, are active and can see the resource; the
+// commenter never mentions themselves
+const resolveMentions = async (body, resource, authorId) => {
+  const ids = Comment.parseMentions(body).filter(id => !sameId(id, authorId));
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const users = await User.find({ _id: { $in: ids }, isActive: true })
+    .select('emailVerified institution');
+
+  return users
+    .filter(user => resource.isVisibleTo({ userId: user._id, institution: user.getVerifiedInstitution() }))
+    .map(user => user._id);
+};
+
+// Title of a comment notification, e.g. `Ann replied to your comment on "Notes"`.
+// The name and resource title are cut so it stays within the title limit.
+const commentTitle = (user, action, resource) =>
+  `${shorten(user.name, 50)} ${action} "${shorten(resource.title, 80)}"`;
+
+const notifyComment = (userId, type, title, resource, comment) => createNotification({
+  user: userId,
+  type,
+  title,
+  message: Comment.toPlainText(comment.body).slice(0, 300),
+  data: {
+    resource: resource._id,
+    comment: comment._id,
+    thread: comment.thread || comment._id
+  }
+});
+
+// Post a question or a reply. Replies to a reply join the same thread.
+const createComment = async ({ resource, user, body, parentId }) => {
+  const text = validateBody(body);
+
+  let parent = null;
+  if (parentId) {
+    parent = await Comment.findOne({ _id: parentId, resource: resource._id }).catch(() => null);
+    if (!parent || !parent.isActive) {
+      throw new CommentError(404, 'Comment not found');
+    }
+    if (parent.deletedAt) {
+      throw new CommentError(400, 'You cannot reply to a deleted comment');
+    }
+  }
+
+  const byResourceAuthor = sameId(resource.author, user.userId);
+
+  const comment = await Comment.create({
+    resource: resource._id,
+    author: user.userId,
+    parent: parent ? parent._id : null,
+    thread: parent ? (parent.thread || parent._id) : null,
+    body: text,
+    mentions: await resolveMentions(text, resource, user.userId),
+    byResourceAuthor
+  });
+
+  // The first reply from the resource author answers the question
+  if (comment.thread && byResourceAuthor) {
+    await Comment.updateOne({ _id: comment.thread, answeredAt: null }, { $set: { answeredAt: comment.createdAt } });
+  }
+
+  // Each person hears about a comment once, with the most specific reason
+  const notified = new Set([user.userId.toString()]);
+  const notifyOnce = (userId, type, title) => {
+    const id = (userId._id || userId).toString();
+    if (notified.has(id)) {
+      return null;
+    }
+    notified.add(id);
+    return notifyComment(id, type, title, resource, comment);
+  };
+
+  await Promise.all([
+    parent && notifyOnce(parent.author, 'comment.reply', commentTitle(user, 'replied to your comment on', resource)),
+    ...comment.mentions.map(id => notifyOnce(id, 'comment.mention', commentTitle(user, 'mentioned you on', resource))),
+    !parent && notifyOnce(resource.author, 'comment.new', commentTitle(user, 'asked a question on', resource))
+  ]);
+
+  return comment;
+};
+
+// Change a comment's text. Only users mentioned for the first time are notified.
+const editComment = async ({ resource, comment, user, body }) => {
+  if (!sameId(comment.author, user.userId)) {
+    throw new CommentError(403, 'You can only edit your own comments');
+  }
+  if (comment.deletedAt) {
+    throw new CommentError(400, 'Deleted comments cannot be edited');
+  }
+
+  const text = validateBody(body);
+  if (text === comment.body) {
+    return comment;
+  }
+
+  const previous = new Set(comment.mentions.map(id => id.toString()));
+  comment.edit(text);
+  comment.mentions = await resolveMentions(text, resource, user.userId);
+  await comment.save();
+
+  await Promise.all(comment.mentions
+    .filter(id => !previous.has(id.toString()))
+    .map(id => notifyComment(id, 'comment.mention', commentTitle(user, 'mentioned you on', resource), resource, comment)));
+
+  return comment;
+};
+
+// Pin or unpin a thread or reply; only the resource author curates answers
+const setPinned = async ({ resource, comment, user, pinned }) => {
+  if (!sameId(resource.author, user.userId)) {
+    throw new CommentError(403, 'Only the author of the resource can pin comments');
+  }
+  if (pinned && comment.deletedAt) {
+    throw new CommentError(400, 'Deleted comments cannot be pinned');
+  }
+
+  comment.pinnedAt = pinned ? (comment.pinnedAt || new Date()) : null;
+  await comment.save();
+  return comment;
+};
+
+// Delete a comment for its author or a moderator. Comments with replies
+// become placeholders so the thread still reads; others are removed.
+const deleteComment = async (comment) => {
+  const hasReplies = await Comment.exists({ parent: comment._id });
+  if (!hasReplies) {
+    await Comment.deleteOne({ _id: comment._id });
+    return;
+  }
+
+  comment.softDelete();
+  await comment.save();
+};
+
+// The shape comments are sent to clients in; deleted ones keep no text or
+// author. `isMine` tells the viewer which comments they can edit.
+const formatComment = (comment, viewerId = null) => {
+  const deleted = Boolean(comment.deletedAt);
+  const author = comment.author && comment.author._id ? comment.author : null;
+
+  return {
+    id: comment._id,
+    parent: comment.parent,
+    thread: comment.thread,
+    body: deleted ? null : comment.body,
+    author: deleted || !author ? null : { id: author._id, name: author.name },
+    byResourceAuthor: comment.byResourceAuthor,
+    answeredAt: comment.answeredAt,
+    pinnedAt: comment.pinnedAt,
+    editedAt: comment.editedAt,
+    editCount: comment.edits ? comment.edits.length : 0,
+    deleted,
+    isMine: !deleted && sameId(comment.author, viewerId),
+    createdAt: comment.createdAt
+  };
+};
+
+// Pinned entries first, then by creation date in the given direction
+const byPinThenDate = (direction) => (a, b) => {
+  const pinned = (b.pinnedAt ? 1 : 0) - (a.pinnedAt ? 1 : 0);
+  return pinned || direction * (new Date(a.createdAt) - new Date(b.createdAt));
+};
+
+// A page of a resource's threads, pinned then newest first, each with its
+// replies pinned then oldest first. Comments hidden by moderators are left
+// out; deleted ones are placeholders.
+const listThreads = async (resource, { page = 1, limit = 20, viewerId = null } = {}) => {
+  const query = { resource: resource._id, thread: null, isActive: true };
+  const skip = (page - 1) * limit;
+  const roots = await Comment.find(query)
+    .populate('author', 'name')
+    .sort({ pinnedAt: -1, createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .lean();
+
+  const [replies, total] = await Promise.all([
+    Comment.find({ thread: { $in: roots.map(root => root._id) }, isActive: true })
+      .populate('author', 'name')
+      .sort({ createdAt: 1 })
+      .lean(),
+    Comment.countDocuments(query)
+  ]);
+
+  const repliesByThread = new Map();
+  replies.forEach(reply => {
+    const key = reply.thread.toString();
+    if (!repliesByThread.has(key)) {
+      repliesByThread.set(key, []);
+    }
+    repliesByThread.get(key).push(reply);
+  });
+
+  const threads = roots.map(root => ({
+    ...formatComment(root, viewerId),
+    replies: (repliesByThread.get(root._id.toString()) || [])
+      .sort(byPinThenDate(1))
+      .map(reply => formatComment(reply, viewerId))
+  }));
+
+  return { threads, total };
+};
+
+module.exports = {
+  CommentError,
+  createComment,
+  editComment,
+  setPinned,
+  deleteComment,
+  formatComment,
+  listThreads
+};
@@ -0,0 +1,81 @@
+const Resource = require('../models/Resource');
+const { readStoredFile } = require('./storage');
+const { canExtractText, extractText } = require('../utils/documentText');
+
+// Resources indexed per background run
+const BATCH_SIZE = 25;
+
+// Indexing jobs running in this process, by resource id
+const inFlight = new Map();
+
+const runIndex = async (resourceId) => {
+  const resource = await Resource.findById(resourceId);
+  if (!resource || !resource.isActive) {
+    return false;
+  }
+
+  const file = resource.getReleasedVersion(resource.currentVersion);
+  if (!file || resource.contentIndexedVersion === file.version) {
+    return false;
+  }
+
+  let contentText;
+  if (canExtractText(file.mimeType)) {
+    try {
+      contentText = await extractText(await readStoredFile(file.storage, file.filePath), file.mimeType);
+    } catch (error) {
+      // Still mark the version as indexed so a broken file is not retried forever;
+      // it stays searchable by title, description and tags
+      console.error(`Content indexing error (${resource._id}):`, error);
+    }
+  }
+
+  // Skip the write if another version became current in the meantime
+  await Resource.updateOne(
+    { _id: resource._id, currentVersion: file.version },
+    contentText
+      ? { contentText, contentIndexedVersion: file.version }
+      : { $unset: { contentText: 1 }, contentIndexedVersion: file.version }
+  );
+  return true;
+};
+
+// Extract and index the text of a resource's current version. Concurrent
+// calls for the same resource share one job.
+const indexResourceContent = (resourceId) => {
+  const id = resourceId.toString();
+  if (!inFlight.has(id)) {
+    inFlight.set(id, runIndex(id).finally(() => inFlight.delete(id)));
+  }
+  return inFlight.get(id);
+};
+
+// Start indexing in the background
+const queueContentIndex = (resourceId) => {
+  indexResourceContent(resourceId).catch(error => {
+    console.error(`Content indexing error (${resourceId}):`, error);
+  });
+};
+
+// Catch up on resources whose indexed text is missing or belongs to an
+// older version, including those uploaded before content search existed
+const indexMissingContent = async (limit = BATCH_SIZE) => {
+  const resources = await Resource.find({
+    isActive: true,
+    $expr: { $ne: ['$contentIndexedVersion', '$currentVersion'] }
+  })
+    .select('_id')
+    .sort({ updatedAt: -1 })
+    .limit(limit);
+
+  for (const resource of resources) {
+    await indexResourceContent(resource._id);
+  }
+  return resources.length;
+};
+
+module.exports = {
+  indexResourceContent,
+  queueContentIndex,
+  indexMissingContent
+};
@@ -0,0 +1,142 @@
+const Resource = require('../models/Resource');
+const User = require('../models/User');
+const { sendMail } = require('./mail');
+const { weeklyDigestEmail } = require('./mail/messages');
+const { getUserStats, getRatingsReceivedSince, getDownloadsSince } = require('./userStats');
+const { createUnsubscribeToken } = require('../utils/unsubscribeTokens');
+
+const DIGEST_INTERVAL = 7 * 24 * 60 * 60 * 1000;
+// Digests sent per scheduler run
+const BATCH_SIZE = 50;
+// Failed sends are retried after an hour, doubling up to a day
+const RETRY_BASE_DELAY = 60 * 60 * 1000;
+const RETRY_MAX_DELAY = 24 * 60 * 60 * 1000;
+// New uploads listed for followed subjects
+const MAX_FOLLOWED_UPLOADS = 10;
+
+// Resources published in the user's followed subjects during the period that
+// they can see, other than their own
+const getFollowedUploads = async (user, since, until) => {
+  const subjects = user.followedSubjects || [];
+  if (subjects.length === 0) {
+    return { subjects, total: 0, resources: [] };
+  }
+
+  const viewer = { userId: user._id, institution: user.getVerifiedInstitution() };
+  const query = {
+    isActive: true,
+    subject: { $in: subjects },
+    publishedAt: { $gt: since, $lte: until },
+    author: { $ne: user._id },
+    ...Resource.visibilityFilter(viewer)
+  };
+
+  const [resources, total] = await Promise.all([
+    Resource.find(query)
+      .populate('author', 'name')
+      .select('title subject author publishedAt')
+      .sort({ publishedAt: -1 })
+      .limit(MAX_FOLLOWED_UPLOADS),
+    Resource.countDocuments(query)
+  ]);
+
+  return {
+    subjects,
+    total,
+    resources: resources.map(resource => ({
+      id: resource._id,
+      title: resource.title,
+      subject: resource.subject,
+      author: resource.author ? resource.author.name : null
+    }))
+  };
+};
+
+// Collect a user's activity for the week ending `until`. The totals come
+// from the same aggregations as the dashboard.
+const buildWeeklyDigest = async (user, until = new Date()) => {
+  const since = new Date(until.getTime() - DIGEST_INTERVAL);
+
+  const [stats, downloads, ratings, following] = await Promise.all([
+    getUserStats(user._id),
+    getDownloadsSince(user._id, since),
+    getRatingsReceivedSince(user._id, since),
+    getFollowedUploads(user, since, until)
+  ]);
+
+  return { since, until, stats, downloads, ratings, following };
+};
+
+// Whether a digest has any news; totals alone are not worth an email
+const hasDigestNews = (digest) => {
+  return digest.downloads.total > 0 || digest.ratings.total > 0 || digest.following.total > 0;
+};
+
+// Build and email a user's weekly digest. Returns the digest, or null when
+// there was nothing to report (unless `force` is set).
+const sendWeeklyDigest = async (user, { until = new Date(), force = false } = {}) => {
+  const digest = await buildWeeklyDigest(user, until);
+  if (!force && !hasDigestNews(digest)) {
+    return null;
+  }
+
+  await sendMail(weeklyDigestEmail(user, digest, createUnsubscribeToken(user._id, 'digest')));
+  return digest;
+};
+
+// Send digests to users who are due one and schedule their next. Only
+// verified addresses get mail. Returns { checked, sent }.
+const runWeeklyDigests = async (limit = BATCH_SIZE) => {
+  const now = new Date();
+
+  const users = await User.find({
+    'digest.weekly': { $ne: false },
+    emailVerified: true,
+    isActive: true,
+    $or: [{ 'digest.nextRunAt': null }, { 'digest.nextRunAt': { $lte: now } }]
+  })
+    .sort({ 'digest.nextRunAt': 1 })
+    .limit(limit);
+
+  let sent = 0;
+
+  for (const user of users) {
+    const update = {
+      'digest.nextRunAt': new Date(now.getTime() + DIGEST_INTERVAL),
+      'digest.failureCount': 0
+    };
+
+    // New subscribers start with a full week rather than an immediate email
+    if (user.digest.nextRunAt && !user.getAccessRestriction()) {
+      try {
+        if (await sendWeeklyDigest(user, { until: now })) {
+          update['digest.lastSentAt'] = now;
+          sent += 1;
+        }
+      } catch (error) {
+        // Retried later rather than left due, so an address that keeps
+        // failing cannot hold up the rest of the batch
+        console.error(`Weekly digest error (${user._id}):`, error);
+        const failureCount = (user.digest.failureCount || 0) + 1;
+        const delay = Math.min(RETRY_BASE_DELAY * 2 ** (failureCount - 1), RETRY_MAX_DELAY);
+        await User.updateOne({ _id: user._id }, {
+          $set: {
+            'digest.nextRunAt': new Date(now.getTime() + delay),
+            'digest.failureCount': failureCount
+          }
+        });
+        continue;
+      }
+    }
+
+    await User.updateOne({ _id: user._id }, { $set: update });
+  }
+
+  return { checked: users.length, sent };
+};
+
+module.exports = {
+  buildWeeklyDigest,
+  sendWeeklyDigest,
+  runWeeklyDigests
+};
@@ -0,0 +1,107 @@
+const User = require('../models/User');
+const ResourceDownload = require('../models/ResourceDownload');
+const { getStorage } = require('./storage');
+const { isNotModified, isRangeFresh, parseRange } = require('../utils/http');
+
+// Attachment header that survives quotes and non-ASCII characters in names
+const contentDisposition = (filename) => {
+  const fallback = String(filename).replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+};
+
+// Stream one version of a resource to the client with Range, ETag and
+// conditional request support, counting the download for userId
+const sendResourceFile = async (req, res, { resource, file, userId }) => {
+  // Check if file exists
+  const fileStorage = getStorage(file.storage);
+  const stats = await fileStorage.stat(file.filePath);
+  if (!stats) {
+    return res.status(404).json({
+      success: false,
+      message: 'File not found on server'
+    });
+  }
+
+  const size = stats.size;
+  const lastModified = file.createdAt || stats.lastModified;
+  // Hashed files get a strong validator; older files only a weak one
+  const etag = file.sha256
+    ? `"${file.sha256}"`
+    : `W/"${size.toString(16)}-${new Date(stats.lastModified).getTime().toString(16)}"`;
+
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('ETag', etag);
+  if (lastModified) {
+    res.setHeader('Last-Modified', new Date(lastModified).toUTCString());
+  }
+  // no-transform keeps compression off, so Content-Length and byte ranges
+  // match the stored file
+  res.setHeader('Cache-Control', 'private, no-cache, no-transform');
+  res.setHeader('X-Resource-Version', file.version);
+
+  if (isNotModified(req, { etag, lastModified })) {
+    return res.status(304).end();
+  }
+
+  const range = req.get('Range') && isRangeFresh(req, { etag, lastModified })
+    ? parseRange(req.get('Range'), size)
+    : null;
+
+  if (range && range.multiple) {
+    return res.status(416).json({
+      success: false,
+      message: 'Multiple ranges are not supported; request one range at a time'
+    });
+  }
+
+  if (range && range.unsatisfiable) {
+    res.setHeader('Content-Range', `bytes */${size}`);
+    return res.status(416).json({
+      success: false,
+      message: 'Requested range is outside the file'
+    });
+  }
+
+  // Count a download once: on a full request or the first range of a
+  // resumed or lazily loaded file, never on HEAD
+  const isFirstRequest = !range || range.start === 0;
+  if (req.method === 'GET' && isFirstRequest) {
+    await resource.incrementDownloadCount();
+    await User.findByIdAndUpdate(userId, {
+      $addToSet: { downloadedResources: resource._id }
+    });
+    await ResourceDownload.record(userId, resource._id, file.version);
+  }
+
+  // Set appropriate headers
+  res.setHeader('Content-Disposition', contentDisposition(file.originalName));
+  res.setHeader('Content-Type', file.mimeType);
+
+  if (range) {
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    res.setHeader('Content-Length', range.end - range.start + 1);
+  } else {
+    res.setHeader('Content-Length', size);
+  }
+
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+
+  // Stream file to client
+  const fileStream = range
+    ? await fileStorage.getRange(file.filePath, range)
+    : await fileStorage.get(file.filePath);
+  fileStream.on('error', (error) => {
+    console.error('File stream error:', error);
+    // Headers are already sent, so the only signal left is a cut connection
+    res.destroy(error);
+  });
+  
+  fileStream.pipe(res);
+};
+
+module.exports = {
+  sendResourceFile
+};
@@ -0,0 +1,60 @@
+const createConsoleTransport = require('./transports/console');
+const createFileTransport = require('./transports/file');
+const createSmtpTransport = require('./transports/smtp');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'College Resource Hub <no-reply@college-resource-hub.local>';
+
+let transport = null;
+
+// Build the transport selected by MAIL_TRANSPORT (console, file or smtp).
+// The console transport prints reset and verification links, so production
+// must choose a transport explicitly and cannot use it.
+const createTransport = (name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? null : 'console')) => {
+  if (!name) {
+    throw new Error('MAIL_TRANSPORT must be set in production (file or smtp)');
+  }
+  if (name === 'console' && process.env.NODE_ENV === 'production') {
+    throw new Error('The console mail transport prints message bodies and cannot be used in production');
+  }
+
+  switch (name) {
+    case 'smtp':
+      return createSmtpTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: parseInt(process.env.SMTP_PORT) || 1025,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      });
+    case 'file':
+      return createFileTransport({ directory: process.env.MAIL_FILE_DIR });
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown mail transport: ${name}`);
+  }
+};
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// Allow callers (and scripts) to swap the transport at runtime
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// Send a message of the shape { to, subject, text, html }
+const sendMail = (message) => {
+  return getTransport().send({ from: MAIL_FROM, ...message });
+};
+
+module.exports = {
+  createTransport,
+  getTransport,
+  setTransport,
+  sendMail
+};
@@ -0,0 +1,75 @@
+const { escapeHtml } = require('../../utils/text');
+const renderWeeklyDigest = require('./templates/weeklyDigest');
+
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:5000';
+
+// Wrap a message body and call-to-action link in both text and HTML parts
+const actionEmail = ({ to, subject, greeting, body, actionLabel, actionUrl, footer }) => ({
+  to,
+  subject,
+  text: [greeting, '', body, '', `${actionLabel}: ${actionUrl}`, '', footer].join('\n'),
+  html: `<p>${escapeHtml(greeting)}</p>
+<p>${escapeHtml(body)}</p>
+<p><a href="${escapeHtml(actionUrl)}">${escapeHtml(actionLabel)}</a></p>
+<p style="color:#666;font-size:12px">${escapeHtml(footer)}</p>`
+});
+
+const verificationEmail = (user, token) => actionEmail({
+  to: user.email,
+  subject: 'Verify your College Resource Hub email address',
+  greeting: `Hi ${user.name},`,
+  body: 'Please confirm your email address to start uploading resources.',
+  actionLabel: 'Verify email',
+  actionUrl: `${CLIENT_URL}/?verifyEmailToken=${encodeURIComponent(token)}`,
+  footer: 'This link expires in 24 hours. If you did not create an account, you can ignore this email.'
+});
+
+const passwordResetEmail = (user, token) => actionEmail({
+  to: user.email,
+  subject: 'Reset your College Resource Hub password',
+  greeting: `Hi ${user.name},`,
+  body: 'We received a request to reset your password.',
+  actionLabel: 'Choose a new password',
+  actionUrl: `${CLIENT_URL}/?resetPasswordToken=${encodeURIComponent(token)}`,
+  footer: 'This link expires in 1 hour and can only be used once. If you did not request a reset, you can ignore this email.'
+});
+
+const forcedPasswordResetEmail = (user, token) => actionEmail({
+  to: user.email,
+  subject: 'Action required: reset your College Resource Hub password',
+  greeting: `Hi ${user.name},`,
+  body: 'An administrator has signed you out and requires you to choose a new password before you can log in again.',
+  actionLabel: 'Choose a new password',
+  actionUrl: `${CLIENT_URL}/?resetPasswordToken=${encodeURIComponent(token)}`,
+  footer: 'This link expires in 1 hour. After that, use "Forgot password" on the login page to get a new one.'
+});
+
+const quarantineEmail = (user, resource, version) => actionEmail({
+  to: user.email,
+  subject: 'Your upload was quarantined',
+  greeting: `Hi ${user.name},`,
+  body: `The file you uploaded for "${resource.title}" (${version.originalName}, version ${version.version}) ` +
+    `was flagged by our malware scanner as ${version.scanSignature} and has not been published.`,
+  actionLabel: 'View your uploads',
+  actionUrl: CLIENT_URL,
+  footer: 'If you believe this is a mistake, contact an administrator; they can review and release the file.'
+});
+
+// Link that unsubscribes the holder from a mailing list without logging in
+const unsubscribeUrl = (token) => `${CLIENT_URL}/?unsubscribeToken=${encodeURIComponent(token)}`;
+
+const weeklyDigestEmail = (user, digest, unsubscribeToken) => ({
+  to: user.email,
+  ...renderWeeklyDigest({ user, digest, clientUrl: CLIENT_URL, unsubscribeUrl: unsubscribeUrl(unsubscribeToken) }),
+  // Lets mail clients offer their own unsubscribe button
+  list: { unsubscribe: unsubscribeUrl(unsubscribeToken) }
+});
+
+module.exports = {
+  escapeHtml,
+  verificationEmail,
+  passwordResetEmail,
+  forcedPasswordResetEmail,
+  quarantineEmail,
+  weeklyDigestEmail
+};
@@ -0,0 +1,99 @@
+const { escapeHtml } = require('../../../utils/text');
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+const stars = (rating) => '★'.repeat(Math.round(rating)) + '☆'.repeat(5 - Math.round(rating));
+
+// Sections of the digest with something to report, as { heading, lines } where
+// each line is { text, detail? }; both renderers below walk the same list
+const buildSections = ({ stats, downloads, ratings, following }) => {
+  const sections = [];
+
+  if (downloads.total > 0) {
+    sections.push({
+      heading: `${downloads.total} ${downloads.total === 1 ? 'person' : 'people'} downloaded your resources`,
+      lines: downloads.resources.map(entry => ({ text: `${entry.title}: ${plural(entry.downloaders, 'download')}` }))
+    });
+  }
+
+  if (ratings.total > 0) {
+    sections.push({
+      heading: `${plural(ratings.total, 'new rating')}, averaging ${ratings.averageRating}/5`,
+      lines: ratings.ratings.map(entry => ({
+        text: `${stars(entry.rating)} ${entry.title}`,
+        detail: entry.feedback ? `“${entry.feedback}”` : undefined
+      }))
+    });
+  }
+
+  if (following.total > 0) {
+    sections.push({
+      heading: `${plural(following.total, 'new upload')} in ${following.subjects.join(', ')}`,
+      lines: following.resources.map(entry => ({
+        text: entry.title,
+        detail: `${entry.subject}${entry.author ? ` · by ${entry.author}` : ''}`
+      }))
+    });
+  }
+
+  if (stats && stats.uploadedResources > 0) {
+    sections.push({
+      heading: 'Your totals',
+      lines: [
+        { text: plural(stats.uploadedResources, 'resource') },
+        { text: plural(stats.totalDownloads, 'download') },
+        { text: `Average rating ${stats.averageRating}/5` },
+        { text: plural(stats.ratingsGiven, 'rating') + ' given' }
+      ]
+    });
+  }
+
+  return sections;
+};
+
+const renderText = ({ user, period, sections, clientUrl, unsubscribeUrl }) => [
+  `Hi ${user.name},`,
+  '',
+  `Here is what happened on College Resource Hub from ${period}.`,
+  ...sections.flatMap(section => [
+    '',
+    section.heading,
+    ...section.lines.map(line => `  - ${line.text}${line.detail ? `\n    ${line.detail}` : ''}`)
+  ]),
+  '',
+  `Open College Resource Hub: ${clientUrl}`,
+  '',
+  `You get this email once a week. Unsubscribe: ${unsubscribeUrl}`
+].join('\n');
+
+const renderHtml = ({ user, period, sections, clientUrl, unsubscribeUrl }) => `<div style="font-family:Arial,sans-serif;max-width:600px;color:#333">
+<h2 style="color:#667eea">Your week on College Resource Hub</h2>
+<p>Hi ${escapeHtml(user.name)},</p>
+<p>Here is what happened from ${escapeHtml(period)}.</p>
+${sections.map(section => `<h3 style="margin-bottom:8px">${escapeHtml(section.heading)}</h3>
+<ul style="padding-left:20px">
+${section.lines.map(line => `<li>${escapeHtml(line.text)}${line.detail ? `<br><span style="color:#666">${escapeHtml(line.detail)}</span>` : ''}</li>`).join('\n')}
+</ul>`).join('\n')}
+<p><a href="${escapeHtml(clientUrl)}" style="color:#667eea;font-weight:bold">Open College Resource Hub</a></p>
+<p style="color:#666;font-size:12px">You get this email once a week. <a href="${escapeHtml(unsubscribeUrl)}" style="color:#666">Unsubscribe</a></p>
+</div>`;
+
+// Render a weekly digest (see services/digests.js for its shape) as
+// { subject, text, html }
+const renderWeeklyDigest = ({ user, digest, clientUrl, unsubscribeUrl }) => {
+  const view = {
+    user,
+    period: `${formatDate(digest.since)} to ${formatDate(digest.until)}`,
+    sections: buildSections(digest),
+    clientUrl,
+    unsubscribeUrl
+  };
+
+  return {
+    subject: 'Your week on College Resource Hub',
+    text: renderText(view),
+    html: renderHtml(view)
+  };
+};
+
+module.exports = renderWeeklyDigest;
@@ -0,0 +1,17 @@
+// Development transport: prints messages to stdout instead of sending them
+const createConsoleTransport = () => ({
+  name: 'console',
+
+  async send(message) {
+    console.log('=====================================');
+    console.log(`📧 To: ${message.to}`);
+    console.log(`📧 Subject: ${message.subject}`);
+    console.log('-------------------------------------');
+    console.log(message.text);
+    console.log('=====================================');
+
+    return { messageId: `console-${Date.now()}` };
+  }
+});
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,28 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Development transport: writes each message as an .eml file that any mail
+// client can open
+const createFileTransport = ({ directory }) => {
+  const outputDir = directory || path.join(__dirname, '../../../mail-outbox');
+  const composer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    name: 'file',
+
+    async send(message) {
+      await fs.promises.mkdir(outputDir, { recursive: true });
+
+      const info = await composer.sendMail(message);
+      const safeRecipient = String(message.to).replace(/[^a-zA-Z0-9.@-]/g, '_');
+      const filePath = path.join(outputDir, `${Date.now()}-${safeRecipient}.eml`);
+
+      await fs.promises.writeFile(filePath, info.message);
+
+      return { messageId: info.messageId, filePath };
+    }
+  };
+};
+
+module.exports = createFileTransport;
@@ -0,0 +1,27 @@
+const nodemailer = require('nodemailer');
+
+// SMTP transport; point SMTP_HOST/SMTP_PORT at a local catcher (e.g. MailHog
+// on port 1025) during development
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    ...(user && { auth: { user, pass } })
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+
+    verify() {
+      return transporter.verify();
+    }
+  };
+};
+
+module.exports = createSmtpTransport;
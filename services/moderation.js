@@ -0,0 +1,219 @@
+const Report = require('../models/Report');
+const ModerationAction = require('../models/ModerationAction');
+const Resource = require('../models/Resource');
+const Rating = require('../models/Rating');
+const Comment = require('../models/Comment');
+const { notifyModerationAction } = require('./notifications');
+const { deleteComment } = require('./comments');
+const { deleteRating, syncResourceRatings } = require('./ratings');
+
+// Error carrying the HTTP status a route should respond with
+class ModerationError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ModerationError';
+    this.status = status;
+  }
+}
+
+// How each reportable content type is loaded, attributed and described
+const TARGETS = {
+  resource: {
+    model: Resource,
+    authorOf: (resource) => resource.author,
+    summarize: (resource) => resource.title,
+    isLive: (resource) => resource.isActive
+  },
+  rating: {
+    model: Rating,
+    authorOf: (rating) => rating.user,
+    summarize: (rating) => `${rating.rating}/5${rating.feedback ? `: ${rating.feedback}` : ''}`.slice(0, 300),
+    isLive: (rating) => rating.isActive
+  },
+  comment: {
+    model: Comment,
+    authorOf: (comment) => comment.author,
+    summarize: (comment) => comment.body.slice(0, 300),
+    isLive: (comment) => comment.isActive && !comment.deletedAt
+  }
+};
+
+const getTargetConfig = (targetType) => {
+  const config = TARGETS[targetType];
+  if (!config) {
+    throw new ModerationError(400, `Unknown content type: ${targetType}`);
+  }
+  return config;
+};
+
+const loadTarget = async (targetType, targetId) => {
+  const config = getTargetConfig(targetType);
+  const target = await config.model.findById(targetId).catch(() => null);
+  if (!target) {
+    throw new ModerationError(404, 'Content not found');
+  }
+  return { config, target };
+};
+
+// File a report against a resource, rating or comment on behalf of a user
+const fileReport = async ({ targetType, targetId, reporterId, reason, details }) => {
+  if (!Report.REASONS.includes(reason)) {
+    throw new ModerationError(400, `Reason must be one of: ${Report.REASONS.join(', ')}`);
+  }
+
+  const { config, target } = await loadTarget(targetType, targetId);
+  if (!config.isLive(target)) {
+    throw new ModerationError(404, 'Content not found');
+  }
+
+  const targetAuthor = config.authorOf(target);
+  if (targetAuthor.toString() === reporterId.toString()) {
+    throw new ModerationError(400, 'You cannot report your own content');
+  }
+
+  let report;
+  try {
+    report = await Report.create({
+      targetType,
+      target: target._id,
+      targetAuthor,
+      reporter: reporterId,
+      reason,
+      details
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ModerationError(400, 'You have already reported this content');
+    }
+    throw error;
+  }
+
+  // Ratings keep their own report list, which auto-hides after 3 reports
+  if (targetType === 'rating') {
+    await target.reportRating(reporterId, reason);
+    if (!target.isActive) {
+      await syncResourceRatings(target.resource);
+    }
+  }
+
+  return report;
+};
+
+// Apply an action's effect to the content
+const applyToTarget = async (targetType, target, action) => {
+  if (action === 'dismiss' || action === 'warn') {
+    return;
+  }
+
+  if (targetType === 'resource') {
+    if (action === 'restore') {
+      if (target.moderationStatus === 'visible') {
+        throw new ModerationError(400, 'This resource was not hidden by moderation');
+      }
+      // Restoring must not publish a file the malware scanner has not cleared
+      target.isActive = target.scanStatus === 'clean';
+      target.moderationStatus = 'visible';
+      if (target.isActive && !target.publishedAt) {
+        target.publishedAt = new Date();
+      }
+    } else {
+      target.isActive = false;
+      target.moderationStatus = action === 'hide' ? 'hidden' : 'removed';
+    }
+    await target.save();
+    return;
+  }
+
+  if (action === 'delete') {
+    if (targetType === 'comment') {
+      await deleteComment(target);
+    } else {
+      await deleteRating(target);
+    }
+    return;
+  }
+
+  if (action === 'restore' && target.isActive) {
+    throw new ModerationError(400, `This ${targetType} is not hidden`);
+  }
+  target.isActive = action === 'restore';
+  await target.save();
+
+  // Hidden ratings do not count towards the resource's average
+  if (targetType === 'rating') {
+    await syncResourceRatings(target.resource);
+  }
+};
+
+// Record a moderator decision, apply it and resolve the open reports
+const takeAction = async ({ targetType, targetId, moderatorId, action, reason }) => {
+  if (!ModerationAction.ACTIONS.includes(action)) {
+    throw new ModerationError(400, `Action must be one of: ${ModerationAction.ACTIONS.join(', ')}`);
+  }
+  if (!reason || String(reason).trim().length < 3) {
+    throw new ModerationError(400, 'A reason is required for every moderation decision');
+  }
+  if (String(reason).trim().length > ModerationAction.MAX_REASON_LENGTH) {
+    throw new ModerationError(400, `Reason cannot exceed ${ModerationAction.MAX_REASON_LENGTH} characters`);
+  }
+
+  const { config, target } = await loadTarget(targetType, targetId);
+  // Taken first: deleting a comment clears its text
+  const targetSummary = config.summarize(target);
+
+  // Built and validated before the content is touched, so a decision that
+  // cannot be recorded is never applied. It is saved once the reports point
+  // at it, complete, and never updated afterwards.
+  const moderationAction = new ModerationAction({
+    moderator: moderatorId,
+    action,
+    reason: String(reason).trim(),
+    targetType,
+    target: target._id,
+    targetAuthor: config.authorOf(target),
+    targetSummary
+  });
+  await moderationAction.validate();
+
+  await applyToTarget(targetType, target, action);
+
+  const resolved = await Report.updateMany(
+    { targetType, target: target._id, status: 'open' },
+    { $set: { status: 'resolved', resolution: moderationAction._id } }
+  );
+
+  moderationAction.reportsResolved = resolved.modifiedCount;
+  await moderationAction.save();
+
+  await notifyModerationAction(moderationAction);
+
+  return moderationAction;
+};
+
+// Load the reported content for a page of queue entries, grouped by type
+const attachTargets = async (entries) => {
+  const byType = {};
+  entries.forEach(entry => {
+    (byType[entry.targetType] = byType[entry.targetType] || []).push(entry.target);
+  });
+
+  const loaded = {};
+  await Promise.all(Object.entries(byType).map(async ([targetType, ids]) => {
+    const docs = await getTargetConfig(targetType).model.find({ _id: { $in: ids } }).lean();
+    docs.forEach(doc => {
+      loaded[`${targetType}:${doc._id}`] = doc;
+    });
+  }));
+
+  return entries.map(entry => ({
+    ...entry,
+    content: loaded[`${entry.targetType}:${entry.target}`] || null
+  }));
+};
+
+module.exports = {
+  ModerationError,
+  fileReport,
+  takeAction,
+  attachTargets
+};
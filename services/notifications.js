@@ -0,0 +1,134 @@
+const Notification = require('../models/Notification');
+
+// Open notification streams in this process, by user id
+const listeners = new Map();
+
+// Receive live events for a user as listener(event, data). Returns a
+// function that stops listening.
+const subscribe = (userId, listener) => {
+  const id = userId.toString();
+  if (!listeners.has(id)) {
+    listeners.set(id, new Set());
+  }
+  listeners.get(id).add(listener);
+
+  return () => {
+    const userListeners = listeners.get(id);
+    if (userListeners) {
+      userListeners.delete(listener);
+      if (userListeners.size === 0) {
+        listeners.delete(id);
+      }
+    }
+  };
+};
+
+const hasListeners = (userId) => listeners.has(userId.toString());
+
+// Send an event to every open stream of a user
+const publish = (userId, event, data) => {
+  (listeners.get(userId.toString()) || []).forEach(listener => {
+    try {
+      listener(event, data);
+    } catch (error) {
+      console.error(`Notification stream error (${userId}):`, error);
+    }
+  });
+};
+
+// Tell a user's open streams the current unread count, e.g. after they
+// read notifications in another tab
+const publishUnreadCount = async (userId) => {
+  if (!hasListeners(userId)) {
+    return;
+  }
+  publish(userId, 'unread', { unreadCount: await Notification.countUnread(userId) });
+};
+
+// Notify a user and push it to their open streams. Failures are logged and
+// swallowed so a notification can never break the action that triggered it.
+const createNotification = async ({ user, type, title, message, data }) => {
+  try {
+    const notification = await Notification.create({ user, type, title, message, data });
+
+    if (hasListeners(user)) {
+      publish(user, 'notification', {
+        notification: notification.toClient(),
+        unreadCount: await Notification.countUnread(user)
+      });
+    }
+
+    return notification;
+  } catch (error) {
+    console.error(`Notification error (${type}):`, error);
+    return null;
+  }
+};
+
+// Cut user-supplied text (titles, names) to a length, so notification titles
+// built from it stay within the 200 characters a notification allows
+const shorten = (text, length) => {
+  const value = String(text || '').trim();
+  return value.length > length ? `${value.slice(0, length - 1).trimEnd()}…` : value;
+};
+
+// Tell a resource's author about a new or changed rating from someone else
+const notifyRating = (resource, { rating, feedback, updated }) => createNotification({
+  user: resource.author._id || resource.author,
+  type: 'rating.received',
+  title: `${updated ? 'A rating was updated on' : 'New rating on'} "${shorten(resource.title, 80)}": ${rating}★`,
+  message: feedback ? String(feedback).slice(0, 300) : undefined,
+  data: { resource: resource._id, rating: Number(rating) }
+});
+
+// Tell a user about a reputation change
+const notifyReputation = (userId, { change, reason, resource }) => createNotification({
+  user: userId,
+  type: 'reputation.changed',
+  title: `You ${change >= 0 ? 'earned' : 'lost'} ${Math.abs(change)} reputation`,
+  message: reason,
+  data: { change, resource }
+});
+
+const MODERATION_VERBS = {
+  hide: 'was hidden',
+  restore: 'was restored',
+  delete: 'was deleted',
+  warn: 'received a warning'
+};
+
+// Tell an author what moderation did to their content. Dismissed reports
+// leave the content untouched, so the author is not told about them.
+const notifyModerationAction = (moderationAction) => {
+  const verb = MODERATION_VERBS[moderationAction.action];
+  if (!verb || !moderationAction.targetAuthor) {
+    return null;
+  }
+
+  const subject = moderationAction.targetType === 'resource'
+    ? `resource "${shorten(moderationAction.targetSummary, 80)}"`
+    : moderationAction.targetType;
+
+  return createNotification({
+    user: moderationAction.targetAuthor,
+    type: 'moderation.action',
+    title: `Your ${subject} ${verb}`,
+    message: `Reason: ${shorten(moderationAction.reason, 990)}`,
+    data: {
+      action: moderationAction.action,
+      targetType: moderationAction.targetType,
+      target: moderationAction.target,
+      moderationAction: moderationAction._id
+    }
+  });
+};
+
+module.exports = {
+  subscribe,
+  publishUnreadCount,
+  createNotification,
+  shorten,
+  notifyRating,
+  notifyReputation,
+  notifyModerationAction
+};
@@ -0,0 +1,181 @@
+const sharp = require('sharp');
+const { PDFParse } = require('pdf-parse');
+const Resource = require('../models/Resource');
+const { getStorage, readStoredFile } = require('./storage');
+const { docxParagraphs, pptxSlides } = require('../utils/documentText');
+
+const THUMBNAIL_WIDTH = 320;
+const SNIPPET_LENGTH = 600;
+// Previews caught up per background run
+const BATCH_SIZE = 25;
+
+// Preview jobs running in this process, by resource id
+const inFlight = new Map();
+
+// Collapse whitespace and cut text to snippet length on a word boundary
+const toSnippet = (text) => {
+  const clean = String(text || '').replace(/[ \t]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+  if (clean.length <= SNIPPET_LENGTH) {
+    return clean;
+  }
+  return clean.slice(0, SNIPPET_LENGTH).replace(/\s+\S*$/, '') + '…';
+};
+
+const imageThumbnail = async (buffer) => {
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .resize({ width: THUMBNAIL_WIDTH, height: THUMBNAIL_WIDTH, fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: 75 })
+    .toBuffer({ resolveWithObject: true });
+
+  return { image: data, width: info.width, height: info.height };
+};
+
+// First page as an image plus its text; scanned PDFs have no text and
+// unusual ones may not render, so either part may be missing
+const pdfPreview = async (buffer) => {
+  const parser = new PDFParse({ data: buffer });
+
+  try {
+    const preview = {};
+
+    const text = await parser.getText({ partial: [1] });
+    preview.text = toSnippet(text.pages.length > 0 ? text.pages[0].text : '');
+
+    try {
+      const screenshot = await parser.getScreenshot({ partial: [1], desiredWidth: THUMBNAIL_WIDTH, imageDataUrl: false });
+      if (screenshot.pages.length > 0) {
+        Object.assign(preview, await imageThumbnail(Buffer.from(screenshot.pages[0].data)));
+      }
+    } catch (error) {
+      console.error('PDF render error:', error.message);
+    }
+
+    return preview.text || preview.image ? preview : null;
+  } finally {
+    await parser.destroy();
+  }
+};
+
+const docxPreview = async (buffer) => {
+  const text = toSnippet((await docxParagraphs(buffer)).join('\n'));
+  return text ? { text } : null;
+};
+
+const pptxPreview = async (buffer) => {
+  const [firstSlide = []] = await pptxSlides(buffer);
+  const text = toSnippet(firstSlide.join('\n'));
+  return text ? { text } : null;
+};
+
+const textPreview = async (buffer) => {
+  const text = toSnippet(buffer.subarray(0, SNIPPET_LENGTH * 4).toString('utf8'));
+  return text ? { text } : null;
+};
+
+const GENERATORS = {
+  'image/jpeg': imageThumbnail,
+  'image/png': imageThumbnail,
+  'image/gif': imageThumbnail,
+  'application/pdf': pdfPreview,
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': docxPreview,
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': pptxPreview,
+  'text/plain': textPreview
+};
+
+// Build { text, image, width, height } for a file's content, or null when
+// the type has no preview or nothing useful could be extracted
+const buildPreview = async (buffer, mimeType) => {
+  const generator = GENERATORS[mimeType];
+  return generator ? generator(buffer) : null;
+};
+
+// Storage key for a version's preview image
+const previewKeyFor = (resourceId, version) => `previews/${resourceId}/v${version}.jpg`;
+
+const runPreview = async (resourceId) => {
+  const resource = await Resource.findById(resourceId);
+  if (!resource || !resource.isActive) {
+    return null;
+  }
+
+  const file = resource.getReleasedVersion(resource.currentVersion);
+  if (!file || (resource.preview && resource.preview.version === file.version)) {
+    return resource.preview;
+  }
+
+  const preview = { version: file.version, generatedAt: new Date() };
+
+  try {
+    const storage = getStorage(file.storage);
+    const result = await buildPreview(await readStoredFile(file.storage, file.filePath), file.mimeType);
+
+    preview.status = result ? 'ready' : 'unsupported';
+
+    if (result && result.text) {
+      preview.text = result.text;
+    }
+
+    if (result && result.image) {
+      const key = previewKeyFor(resource._id, file.version);
+      await storage.put(key, result.image, { size: result.image.length, contentType: 'image/jpeg' });
+      preview.image = { storage: storage.name, key, width: result.width, height: result.height };
+    }
+  } catch (error) {
+    console.error(`Preview generation error (${resource._id}):`, error);
+    preview.status = 'failed';
+  }
+
+  // Skip the write if another version became current in the meantime
+  await Resource.updateOne({ _id: resource._id, currentVersion: file.version }, { preview });
+  return preview;
+};
+
+// Generate the preview for a resource's current version. Concurrent calls
+// for the same resource share one job.
+const generatePreview = (resourceId) => {
+  const id = resourceId.toString();
+  if (!inFlight.has(id)) {
+    inFlight.set(id, runPreview(id).finally(() => inFlight.delete(id)));
+  }
+  return inFlight.get(id);
+};
+
+// Start preview generation in the background
+const queuePreview = (resourceId) => {
+  generatePreview(resourceId).catch(error => {
+    console.error(`Preview generation error (${resourceId}):`, error);
+  });
+};
+
+// Catch up on resources whose preview is missing or belongs to an older
+// version, including those uploaded before previews existed
+const generateMissingPreviews = async (limit = BATCH_SIZE) => {
+  const resources = await Resource.find({
+    isActive: true,
+    $expr: { $ne: ['$preview.version', '$currentVersion'] }
+  })
+    .select('_id')
+    .sort({ updatedAt: -1 })
+    .limit(limit);
+
+  for (const resource of resources) {
+    await generatePreview(resource._id);
+  }
+  return resources.length;
+};
+
+// Read a stored preview image as a data: URL
+const readPreviewImage = async (preview) => {
+  const image = await readStoredFile(preview.image.storage, preview.image.key);
+  return `data:image/jpeg;base64,${image.toString('base64')}`;
+};
+
+module.exports = {
+  buildPreview,
+  generatePreview,
+  queuePreview,
+  generateMissingPreviews,
+  readPreviewImage
+};
@@ -0,0 +1,224 @@
+const mongoose = require('mongoose');
+const Resource = require('../models/Resource');
+const Rating = require('../models/Rating');
+const User = require('../models/User');
+const { notifyRating, notifyReputation } = require('./notifications');
+
+// Error carrying the HTTP status a route should respond with
+class RatingError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'RatingError';
+    this.status = status;
+  }
+}
+
+// Reputation for giving a first rating, and for the author per rating received
+const RATER_REPUTATION = 2;
+const authorReputationFor = (rating) => (rating > 3 ? 3 : 1);
+
+// Transactions need a replica set. On a standalone server (e.g. local
+// development) the first write is refused before anything is applied, so the
+// same steps are run again without one.
+let transactionsSupported = true;
+
+const runInTransaction = async (work) => {
+  if (transactionsSupported) {
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await work(session);
+      });
+      return result;
+    } catch (error) {
+      if (error.code !== 20 && error.codeName !== 'IllegalOperation') {
+        throw error;
+      }
+      transactionsSupported = false;
+      console.warn('MongoDB transactions unavailable (standalone server); rating writes are not atomic');
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  return work(null);
+};
+
+// Recompute a resource's embedded ratings and its average from the Rating
+// collection, which is the source of truth. Hidden ratings do not count.
+const syncResourceRatings = async (resourceId, session = null) => {
+  const ratings = await Rating.find({ resource: resourceId, isActive: true })
+    .sort({ ratedAt: 1 })
+    .session(session)
+    .lean();
+
+  const total = ratings.reduce((sum, rating) => sum + rating.rating, 0);
+  const summary = {
+    averageRating: ratings.length > 0 ? Math.round((total / ratings.length) * 10) / 10 : 0,
+    totalRatings: ratings.length
+  };
+
+  await Resource.updateOne({ _id: resourceId }, {
+    $set: {
+      ...summary,
+      ratings: ratings.map(rating => ({
+        user: rating.user,
+        rating: rating.rating,
+        feedback: rating.feedback,
+        version: rating.resourceVersion,
+        createdAt: rating.ratedAt || rating.updatedAt
+      }))
+    }
+  }, { session });
+
+  return summary;
+};
+
+// Add or update a user's rating of a resource. The rating, the resource's
+// aggregates and everyone's reputation are written together; notifications
+// go out once that has committed.
+// Returns { rating, previous, created, averageRating, totalRatings }.
+const rateResource = async ({ resource, userId, rating, feedback }) => {
+  const value = Number(rating);
+  if (!Number.isInteger(value) || value < 1 || value > 5) {
+    throw new RatingError(400, 'Rating must be between 1 and 5');
+  }
+
+  const text = typeof feedback === 'string' ? feedback.trim() : '';
+  if (text.length > 500) {
+    throw new RatingError(400, 'Feedback cannot exceed 500 characters');
+  }
+
+  if (resource.author.toString() === userId.toString()) {
+    throw new RatingError(400, 'You cannot rate your own resource');
+  }
+
+  const outcome = await runInTransaction(async (session) => {
+    let ratingDoc = await Rating.findOne({ user: userId, resource: resource._id }).session(session);
+    const previous = ratingDoc ? { rating: ratingDoc.rating, feedback: ratingDoc.feedback } : null;
+
+    if (ratingDoc) {
+      ratingDoc.rating = value;
+      ratingDoc.feedback = text;
+      ratingDoc.resourceVersion = resource.currentVersion;
+      ratingDoc.ratedAt = new Date();
+    } else {
+      ratingDoc = new Rating({
+        user: userId,
+        resource: resource._id,
+        rating: value,
+        feedback: text,
+        resourceVersion: resource.currentVersion
+      });
+    }
+    await ratingDoc.save({ session });
+
+    // Changing a rating moves the author's reputation to match the new
+    // score rather than awarding it again
+    const raterChange = previous ? 0 : RATER_REPUTATION;
+    const authorChange = authorReputationFor(value) - (previous ? authorReputationFor(previous.rating) : 0);
+
+    if (raterChange !== 0) {
+      await User.updateOne({ _id: userId }, { $inc: { reputation: raterChange } }, { session });
+    }
+    if (authorChange !== 0) {
+      await User.updateOne({ _id: resource.author }, { $inc: { reputation: authorChange } }, { session });
+    }
+
+    const summary = await syncResourceRatings(resource._id, session);
+
+    return { rating: ratingDoc, previous, raterChange, authorChange, ...summary };
+  });
+
+  if (outcome.raterChange !== 0) {
+    await notifyReputation(userId, {
+      change: outcome.raterChange,
+      reason: `For rating "${resource.title}"`,
+      resource: resource._id
+    });
+  }
+
+  await notifyRating(resource, { rating: value, feedback: text, updated: Boolean(outcome.previous) });
+
+  if (outcome.authorChange !== 0) {
+    await notifyReputation(resource.author, {
+      change: outcome.authorChange,
+      reason: `For a ${value}★ rating on "${resource.title}"`,
+      resource: resource._id
+    });
+  }
+
+  return {
+    rating: outcome.rating,
+    previous: outcome.previous,
+    created: !outcome.previous,
+    averageRating: outcome.averageRating,
+    totalRatings: outcome.totalRatings
+  };
+};
+
+// Remove a rating entirely, keeping the resource's aggregates in sync
+const deleteRating = (rating) => runInTransaction(async (session) => {
+  await Rating.deleteOne({ _id: rating._id }, { session });
+  await syncResourceRatings(rating.resource, session);
+});
+
+// Create Rating documents for ratings that were only ever stored on the
+// resource, so rebuilding from the collection does not drop them.
+// Returns the number created.
+const backfillEmbeddedRatings = async (resourceId) => {
+  const resource = await Resource.findById(resourceId).select('ratings currentVersion').lean();
+  if (!resource || resource.ratings.length === 0) {
+    return 0;
+  }
+
+  const existing = await Rating.find({ resource: resourceId }).select('user').lean();
+  const rated = new Set(existing.map(rating => rating.user.toString()));
+
+  const missing = resource.ratings.filter(rating => !rated.has(rating.user.toString()));
+  if (missing.length === 0) {
+    return 0;
+  }
+
+  await Rating.insertMany(missing.map(rating => ({
+    user: rating.user,
+    resource: resourceId,
+    rating: rating.rating,
+    feedback: rating.feedback,
+    resourceVersion: rating.version,
+    ratedAt: rating.createdAt,
+    createdAt: rating.createdAt,
+    updatedAt: rating.createdAt
+  })), { timestamps: false });
+
+  return missing.length;
+};
+
+// Recompute the rating aggregates of every resource (or the given ones)
+// from the Rating collection. Returns { resources, backfilled }.
+const rebuildRatingAggregates = async ({ resourceIds = null, backfill = true } = {}) => {
+  const query = resourceIds ? { _id: { $in: resourceIds } } : {};
+  const cursor = Resource.find(query).select('_id').lean().cursor();
+
+  let resources = 0;
+  let backfilled = 0;
+
+  for await (const resource of cursor) {
+    if (backfill) {
+      backfilled += await backfillEmbeddedRatings(resource._id);
+    }
+    await syncResourceRatings(resource._id);
+    resources += 1;
+  }
+
+  return { resources, backfilled };
+};
+
+module.exports = {
+  RatingError,
+  rateResource,
+  deleteRating,
+  syncResourceRatings,
+  rebuildRatingAggregates
+};
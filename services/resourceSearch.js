@@ -0,0 +1,77 @@
+const Resource = require('../models/Resource');
+const { parseSearchQuery, hasSearchTerms, toTextSearch } = require('../utils/search');
+const { FILE_TYPE_GROUPS } = require('../utils/fileType');
+
+// Query parameters that describe what to find (as opposed to paging and
+// sorting); saved searches store exactly these
+const SEARCH_PARAMS = ['search', 'subject', 'semester', 'type', 'tag', 'fileType', 'minRating'];
+
+// Build the MongoDB filter for GET /api/resources parameters as seen by
+// `user`. Returns { query, baseQuery, facetFilters, searchQuery } or { error }.
+// baseQuery holds the access and search conditions; facetFilters maps each
+// facet to its selected condition; query combines both.
+const buildResourceQuery = (params, user) => {
+  const { search, subject, semester, type, tag, fileType, minRating, author } = params;
+
+  const baseQuery = {
+    isActive: true,
+    $and: [Resource.visibilityFilter(user)]
+  };
+
+  // Full-text search over titles, tags, descriptions and file contents.
+  // Supports "exact phrases" and -excluded words.
+  const searchQuery = search && String(search).trim() ? parseSearchQuery(search) : null;
+  if (searchQuery) {
+    if (!hasSearchTerms(searchQuery)) {
+      return { error: 'Search needs at least one word or phrase that is not excluded' };
+    }
+    baseQuery.$text = { $search: toTextSearch(searchQuery) };
+  }
+
+  if (author) {
+    baseQuery.author = author;
+  }
+
+  if (fileType && !FILE_TYPE_GROUPS[fileType]) {
+    return { error: `File type must be one of: ${Object.keys(FILE_TYPE_GROUPS).join(', ')}` };
+  }
+
+  if (minRating && !(parseFloat(minRating) >= 1 && parseFloat(minRating) <= 5)) {
+    return { error: 'Minimum rating must be between 1 and 5' };
+  }
+
+  // Filters with facet counts, each as a query condition when selected
+  const facetFilters = {
+    subject: subject && subject !== 'all' ? { subject: String(subject) } : null,
+    semester: semester && semester !== 'all' ? { semester: String(semester) } : null,
+    type: type && type !== 'all' ? { type: String(type) } : null,
+    tags: tag ? { tags: String(tag).toLowerCase() } : null,
+    fileType: fileType ? { mimeType: { $in: FILE_TYPE_GROUPS[fileType] } } : null,
+    rating: minRating ? { totalRatings: { $gt: 0 }, averageRating: { $gte: parseFloat(minRating) } } : null
+  };
+
+  const query = {
+    ...baseQuery,
+    $and: [...baseQuery.$and, ...Object.values(facetFilters).filter(Boolean)]
+  };
+
+  return { query, baseQuery, facetFilters, searchQuery };
+};
+
+// Keep only the search parameters that are set, as strings
+const pickSearchParams = (params) => {
+  const picked = {};
+  SEARCH_PARAMS.forEach(key => {
+    const value = params[key];
+    if (value !== undefined && value !== null && String(value).trim() !== '' && value !== 'all') {
+      picked[key] = String(value).trim();
+    }
+  });
+  return picked;
+};
+
+module.exports = {
+  SEARCH_PARAMS,
+  buildResourceQuery,
+  pickSearchParams
+};
@@ -0,0 +1,253 @@
+const fs = require('fs');
+const { body, validationResult } = require('express-validator');
+const Resource = require('../models/Resource');
+const User = require('../models/User');
+const { recordAudit } = require('./audit');
+const { storeUploadedFile, releaseStoredFile } = require('./storage');
+const { queueScan } = require('./scanning');
+const { queuePreview } = require('./previews');
+const { queueContentIndex } = require('./contentIndex');
+const { detectFileTypeFromPath, matchesDeclaredType } = require('../utils/fileType');
+
+// Accept only specific file types
+const ALLOWED_MIME_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'text/plain',
+  'image/jpeg',
+  'image/png',
+  'image/gif'
+];
+
+const INVALID_FILE_TYPE_MESSAGE = 'Invalid file type. Only PDF, DOC, DOCX, PPT, PPTX, TXT, JPG, PNG, GIF files are allowed.';
+
+// Validation rules for the metadata sent with an upload
+const uploadValidation = [
+  body('title')
+    .trim()
+    .notEmpty()
+    .withMessage('Title is required')
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Title must be between 2 and 200 characters'),
+  body('description')
+    .trim()
+    .notEmpty()
+    .withMessage('Description is required')
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Description must be between 10 and 1000 characters'),
+  body('subject')
+    .notEmpty()
+    .withMessage('Subject is required')
+    .isIn(Resource.SUBJECTS)
+    .withMessage('Invalid subject'),
+  body('semester')
+    .notEmpty()
+    .withMessage('Semester is required'),
+  body('type')
+    .notEmpty()
+    .withMessage('Type is required')
+    .isIn(['Notes', 'Exam Paper', 'Study Guide', 'Assignment', 'Presentation', 'Other'])
+    .withMessage('Invalid type'),
+  body('courseCode')
+    .optional({ values: 'falsy' })
+    .customSanitizer(value => Resource.normalizeCourseCode(value))
+    .custom(value => Resource.isValidCourseCode(value))
+    .withMessage('Course code must look like CS101 or MATH2010'),
+  body('visibility')
+    .optional()
+    .isIn(['public', 'institution-only'])
+    .withMessage('Visibility must be public or institution-only')
+];
+
+// Raised for uploads that cannot be published; `body` is merged into the
+// JSON error response
+class UploadError extends Error {
+  constructor(status, message, body = {}) {
+    super(message);
+    this.name = 'UploadError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+// Release a stored file after the request that stored it failed
+const discardStoredFile = (stored) => {
+  if (!stored) return;
+  releaseStoredFile(stored.sha256).catch(error => {
+    console.error('Storage cleanup error:', error);
+  });
+};
+
+// Reject files whose bytes are not what the client declared; the mimetype
+// checked by fileFilter comes straight from the request
+const checkFileContent = async (file) => {
+  const detected = await detectFileTypeFromPath(file.path);
+  if (!matchesDeclaredType(file.mimetype, detected)) {
+    throw new UploadError(400, `File contents do not match the declared type (${file.mimetype})`);
+  }
+};
+
+// Move a checked upload into storage. Content the scanner has already
+// flagged is refused; anything else comes back with its scanStatus.
+const storeUpload = async (file) => {
+  const stored = await storeUploadedFile(file);
+  if (stored.scanStatus === 'infected') {
+    discardStoredFile(stored);
+    throw new UploadError(422, 'This file was flagged by the malware scanner and cannot be uploaded');
+  }
+  return stored;
+};
+
+// Publish a fully received upload as a new resource. `file` is shaped like a
+// multer file with a `sha256`; metadata comes from req.body, already run
+// through uploadValidation. The temporary file is consumed either way, unless
+// `keepRejected` is set: a file refused before it reached storage (bad
+// metadata, a duplicate) is then left in place so publishing can be retried.
+// New content stays unpublished (pending_scan) until the scanner clears it.
+const publishUpload = async (req, file, { keepRejected = false } = {}) => {
+  let stored = null;
+  let storing = false;
+  let rejected = false;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new UploadError(400, 'Validation failed', { errors: errors.array() });
+    }
+
+    await checkFileContent(file);
+
+    const { title, description, subject, semester, type, tags, courseCode, visibility = 'public' } = req.body;
+
+    // Only verified members of an institution can restrict to it
+    if (visibility === 'institution-only' && !req.user.institution) {
+      throw new UploadError(400, 'Your account is not linked to an institution, so the resource must be public');
+    }
+
+    // The same file uploaded again is usually a mistake; point at the original
+    // unless the uploader explicitly asks to publish it anyway
+    const allowDuplicate = ['true', '1', 'on'].includes(String(req.body.allowDuplicate).toLowerCase());
+    const duplicate = await Resource.findDuplicate(file.sha256, req.user);
+    if (duplicate && !allowDuplicate) {
+      throw new UploadError(409, `This file has already been uploaded as "${duplicate.title}"`, {
+        data: {
+          duplicate: {
+            id: duplicate._id,
+            title: duplicate.title,
+            url: `/api/resources/${duplicate._id}`
+          },
+          override: 'Resubmit with allowDuplicate=true to upload it anyway'
+        }
+      });
+    }
+
+    // Process tags
+    let tagArray = [];
+    if (tags && tags.trim()) {
+      tagArray = tags.split(',')
+        .map(tag => tag.trim().toLowerCase())
+        .filter(tag => tag.length > 0)
+        .slice(0, 10); // Limit to 10 tags
+    }
+
+    storing = true;
+    stored = await storeUpload(file);
+    const scanStatus = stored.scanStatus === 'clean' ? 'clean' : 'pending_scan';
+
+    // Create new resource
+    const resource = new Resource({
+      title: title.trim(),
+      description: description.trim(),
+      subject,
+      semester,
+      type,
+      author: req.user.userId,
+      filename: file.filename,
+      originalName: file.originalname,
+      storage: stored.storage,
+      filePath: stored.key,
+      sha256: stored.sha256,
+      fileSize: file.size,
+      mimeType: file.mimetype,
+      tags: tagArray,
+      courseCode: courseCode || undefined,
+      visibility,
+      institution: req.user.institution,
+      isActive: scanStatus === 'clean',
+      scanStatus,
+      publishedAt: scanStatus === 'clean' ? new Date() : undefined
+    });
+    resource.versions.push({
+      version: 1,
+      filename: resource.filename,
+      originalName: resource.originalName,
+      storage: resource.storage,
+      filePath: resource.filePath,
+      sha256: resource.sha256,
+      fileSize: resource.fileSize,
+      mimeType: resource.mimeType,
+      uploadedBy: req.user.userId,
+      scanStatus
+    });
+
+    await resource.save();
+    // The blob now belongs to the resource; later failures must not release it
+    stored = null;
+
+    if (scanStatus === 'pending_scan') {
+      queueScan(resource.sha256);
+    } else {
+      queuePreview(resource._id);
+      queueContentIndex(resource._id);
+    }
+
+    // Track the upload on the author's profile
+    await User.findByIdAndUpdate(req.user.userId, {
+      $push: { uploadedResources: resource._id }
+    });
+
+    await recordAudit(req, {
+      action: 'resource.upload',
+      targetType: 'resource',
+      targetId: resource._id,
+      metadata: {
+        title: resource.title,
+        originalName: resource.originalName,
+        fileSize: resource.fileSize,
+        sha256: resource.sha256,
+        visibility: resource.visibility,
+        scanStatus,
+        duplicateOf: duplicate ? duplicate._id : undefined
+      }
+    });
+
+    // Populate author info for response
+    await resource.populate('author', 'name university major');
+
+    return resource;
+
+  } catch (error) {
+    rejected = error instanceof UploadError && !storing;
+    discardStoredFile(stored);
+    throw error;
+  } finally {
+    // Delete the temporary file whether or not it made it into storage
+    if (!(keepRejected && rejected)) {
+      await fs.promises.rm(file.path, { force: true });
+    }
+  }
+};
+
+module.exports = {
+  ALLOWED_MIME_TYPES,
+  INVALID_FILE_TYPE_MESSAGE,
+  uploadValidation,
+  UploadError,
+  discardStoredFile,
+  checkFileContent,
+  storeUpload,
+  publishUpload
+};
@@ -0,0 +1,103 @@
+const Resource = require('../models/Resource');
+const SavedSearch = require('../models/SavedSearch');
+const User = require('../models/User');
+const { buildResourceQuery, pickSearchParams } = require('./resourceSearch');
+const { createNotification } = require('./notifications');
+
+// Saved searches checked per matcher run
+const BATCH_SIZE = 100;
+// Matching resources listed in one notification
+const MAX_LISTED_MATCHES = 20;
+
+// Find resources published since a saved search was last checked that its
+// owner can see, leaving out the owner's own uploads
+const findNewMatches = async (savedSearch, viewer, until) => {
+  const { query, error } = buildResourceQuery(savedSearch.query, viewer);
+  if (error) {
+    throw new Error(`Saved search ${savedSearch._id} is invalid: ${error}`);
+  }
+
+  const matchQuery = {
+    ...query,
+    $and: [
+      ...query.$and,
+      { publishedAt: { $gt: savedSearch.lastCheckedAt, $lte: until } },
+      { author: { $ne: viewer.userId } }
+    ]
+  };
+
+  const [resources, total] = await Promise.all([
+    Resource.find(matchQuery)
+      .select('title subject semester type publishedAt')
+      .sort({ publishedAt: -1 })
+      .limit(MAX_LISTED_MATCHES)
+      .lean(),
+    Resource.countDocuments(matchQuery)
+  ]);
+
+  return { resources, total };
+};
+
+const notifyMatches = (savedSearch, { resources, total }) => createNotification({
+  user: savedSearch.user,
+  type: 'saved_search.match',
+  title: `${total} new ${total === 1 ? 'resource matches' : 'resources match'} "${savedSearch.name}"`,
+  message: resources.slice(0, 3).map(resource => resource.title).join(', ') + (total > 3 ? ', …' : ''),
+  data: {
+    savedSearch: savedSearch._id,
+    query: pickSearchParams(savedSearch.query),
+    total,
+    resources: resources.map(resource => ({ id: resource._id, title: resource.title }))
+  }
+});
+
+// Check every subscribed saved search that is due against the resources
+// published since its last check, and send one notification per search
+// with new matches. Returns the number of searches checked.
+const runSavedSearchAlerts = async (limit = BATCH_SIZE) => {
+  const now = new Date();
+
+  const savedSearches = await SavedSearch.find({ subscribed: true, nextRunAt: { $lte: now } })
+    .sort({ nextRunAt: 1 })
+    .limit(limit);
+
+  const owners = await User.find({ _id: { $in: savedSearches.map(search => search.user) } });
+  const ownersById = new Map(owners.map(owner => [owner._id.toString(), owner]));
+
+  for (const savedSearch of savedSearches) {
+    const owner = ownersById.get(savedSearch.user.toString());
+
+    // Deactivated, banned and suspended users get no alerts; their schedule
+    // still moves on so they are not flooded with old matches later
+    if (owner && owner.isActive && !owner.getAccessRestriction()) {
+      try {
+        const viewer = { userId: owner._id, institution: owner.getVerifiedInstitution() };
+        const matches = await findNewMatches(savedSearch, viewer, now);
+
+        if (matches.total > 0) {
+          // createNotification logs and swallows its own errors; the window
+          // must be checked again rather than marked as sent
+          if (!await notifyMatches(savedSearch, matches)) {
+            throw new Error('Notification could not be created');
+          }
+          savedSearch.lastMatchedAt = now;
+          savedSearch.lastMatchCount = matches.total;
+        }
+      } catch (error) {
+        console.error(`Saved search alert error (${savedSearch._id}):`, error);
+        savedSearch.markFailed(now);
+        await savedSearch.save();
+        continue;
+      }
+    }
+
+    savedSearch.markChecked(now);
+    await savedSearch.save();
+  }
+
+  return savedSearches.length;
+};
+
+module.exports = {
+  runSavedSearchAlerts
+};
@@ -0,0 +1,91 @@
+const net = require('net');
+
+// clamd rejects chunks above its StreamMaxLength, so stay well under the default
+const CHUNK_SIZE = 64 * 1024;
+
+// Parse a clamd INSTREAM reply such as "stream: OK" or
+// "stream: Eicar-Signature FOUND"
+const parseReply = (reply) => {
+  const text = reply.replace(/\0/g, '').trim();
+
+  if (/^stream: OK$/.test(text)) {
+    return { clean: true };
+  }
+
+  const found = /^stream: (.+) FOUND$/.exec(text);
+  if (found) {
+    return { clean: false, signature: found[1] };
+  }
+
+  throw new Error(`clamd error: ${text || 'empty reply'}`);
+};
+
+// Scans files with a ClamAV daemon over its unix socket or TCP port using the
+// INSTREAM command
+const createClamdDriver = ({ socketPath, host, port, timeout }) => {
+  const connectOptions = socketPath ? { path: socketPath } : { host: host || '127.0.0.1', port: port || 3310 };
+
+  return {
+    name: 'clamd',
+
+    // Scan a readable stream; resolves { clean, signature }
+    scan(stream) {
+      return new Promise((resolve, reject) => {
+        const socket = net.createConnection(connectOptions);
+        const replies = [];
+        let settled = false;
+
+        const finish = (error, result) => {
+          if (settled) return;
+          settled = true;
+          socket.destroy();
+          stream.destroy();
+          if (error) {
+            reject(error);
+          } else {
+            resolve(result);
+          }
+        };
+
+        socket.setTimeout(timeout || 60000, () => finish(new Error('clamd timed out')));
+        socket.on('error', error => finish(error));
+        stream.on('error', error => finish(error));
+
+        socket.on('data', data => replies.push(data));
+        socket.on('end', () => {
+          try {
+            finish(null, parseReply(Buffer.concat(replies).toString('utf8')));
+          } catch (error) {
+            finish(error);
+          }
+        });
+
+        socket.on('connect', async () => {
+          try {
+            socket.write('zINSTREAM\0');
+
+            // Each chunk is prefixed with its length as a 4-byte big-endian integer
+            for await (const data of stream) {
+              for (let offset = 0; offset < data.length; offset += CHUNK_SIZE) {
+                const chunk = data.subarray(offset, offset + CHUNK_SIZE);
+                const length = Buffer.alloc(4);
+                length.writeUInt32BE(chunk.length);
+                if (!socket.write(Buffer.concat([length, chunk]))) {
+                  await new Promise(resume => socket.once('drain', resume));
+                }
+                if (settled) return;
+              }
+            }
+
+            // A zero-length chunk ends the stream
+            socket.write(Buffer.alloc(4));
+          } catch (error) {
+            finish(error);
+          }
+        });
+      });
+    }
+  };
+};
+
+module.exports = createClamdDriver;
@@ -0,0 +1,11 @@
+// Development driver: reports every file as clean without looking at it
+const createNoneDriver = () => ({
+  name: 'none',
+
+  async scan(stream) {
+    stream.destroy();
+    return { clean: true };
+  }
+});
+
+module.exports = createNoneDriver;
@@ -0,0 +1,43 @@
+const createClamdDriver = require('./drivers/clamd');
+const createNoneDriver = require('./drivers/none');
+
+// Every driver implements:
+//   scan(stream)   resolves { clean: true } or { clean: false, signature };
+//                  rejects when the scan could not be completed
+
+let scanner = null;
+
+// Build the driver selected by SCANNER_DRIVER (clamd or none)
+const createScanner = (name = process.env.SCANNER_DRIVER || 'none') => {
+  switch (name) {
+    case 'clamd':
+      return createClamdDriver({
+        socketPath: process.env.CLAMD_SOCKET,
+        host: process.env.CLAMD_HOST,
+        port: parseInt(process.env.CLAMD_PORT) || 3310,
+        timeout: parseInt(process.env.CLAMD_TIMEOUT_MS) || 60000
+      });
+    case 'none':
+      return createNoneDriver();
+    default:
+      throw new Error(`Unknown scanner driver: ${name}`);
+  }
+};
+
+const getScanner = () => {
+  if (!scanner) {
+    scanner = createScanner();
+  }
+  return scanner;
+};
+
+// Allow callers (and scripts) to swap the scanner at runtime
+const setScanner = (customScanner) => {
+  scanner = customScanner;
+};
+
+module.exports = {
+  createScanner,
+  getScanner,
+  setScanner
+};
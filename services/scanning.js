@@ -0,0 +1,174 @@
+const Resource = require('../models/Resource');
+const StoredFile = require('../models/StoredFile');
+const User = require('../models/User');
+const { recordAudit } = require('./audit');
+const { getStorage } = require('./storage');
+const { getScanner } = require('./scanner');
+const { sendMail } = require('./mail');
+const { queuePreview } = require('./previews');
+const { queueContentIndex } = require('./contentIndex');
+const { quarantineEmail } = require('./mail/messages');
+
+// Scans running in this process, by content hash
+const inFlight = new Map();
+
+// Tell the uploader why their file was not published
+const notifyUploader = async (resource, version) => {
+  try {
+    const user = await User.findById(version.uploadedBy || resource.author).select('name email');
+    if (user) {
+      await sendMail(quarantineEmail(user, resource, version));
+    }
+  } catch (error) {
+    console.error('Quarantine notification error:', error);
+  }
+};
+
+// Apply a stored file's verdict to every resource version using that content.
+// Clean versions uploaded after the current one become current, and a
+// resource whose first upload is clean goes live.
+const applyScanResult = async (storedFile) => {
+  const verdict = storedFile.scanStatus === 'clean' ? 'clean' : 'quarantined';
+  // A clean verdict also releases versions quarantined by an earlier one
+  const from = verdict === 'clean' ? ['pending_scan', 'quarantined'] : ['pending_scan'];
+
+  const resources = await Resource.find({
+    versions: { $elemMatch: { sha256: storedFile.sha256, scanStatus: { $in: from } } }
+  });
+
+  const quarantined = [];
+
+  for (const resource of resources) {
+    const affected = resource.versions
+      .filter(v => v.sha256 === storedFile.sha256 && from.includes(v.scanStatus))
+      .sort((a, b) => a.version - b.version);
+
+    affected.forEach(version => {
+      version.scanStatus = verdict;
+      version.scanSignature = verdict === 'quarantined' ? storedFile.signature : undefined;
+      if (verdict === 'quarantined') {
+        quarantined.push({ resource, version });
+      }
+    });
+
+    if (resource.scanStatus !== 'clean' && affected.some(v => v.version === resource.currentVersion)) {
+      resource.scanStatus = verdict;
+      resource.scanSignature = verdict === 'quarantined' ? storedFile.signature : undefined;
+      resource.isActive = verdict === 'clean' && resource.moderationStatus === 'visible';
+      if (resource.isActive && !resource.publishedAt) {
+        resource.publishedAt = new Date();
+      }
+    }
+
+    const newer = affected.filter(v => verdict === 'clean' && v.version > resource.currentVersion);
+    if (newer.length > 0) {
+      resource.setCurrentVersion(newer[newer.length - 1].version);
+    }
+
+    await resource.save();
+
+    if (verdict === 'clean' && resource.isActive) {
+      queuePreview(resource._id);
+      queueContentIndex(resource._id);
+    }
+  }
+
+  for (const { resource, version } of quarantined) {
+    await recordAudit(null, {
+      action: 'resource.quarantine',
+      actor: null,
+      targetType: 'resource',
+      targetId: resource._id,
+      metadata: {
+        version: version.version,
+        sha256: storedFile.sha256,
+        signature: storedFile.signature
+      }
+    });
+    await notifyUploader(resource, version);
+  }
+
+  return resources.length;
+};
+
+const runScan = async (sha256) => {
+  const storedFile = await StoredFile.findOne({ sha256 });
+  if (!storedFile) {
+    return null;
+  }
+
+  // Content is scanned once; later uploads of it reuse the verdict
+  if (storedFile.scanStatus === 'pending') {
+    const stream = await getStorage(storedFile.storage).get(storedFile.key);
+    const result = await getScanner().scan(stream);
+
+    storedFile.scanStatus = result.clean ? 'clean' : 'infected';
+    storedFile.signature = result.clean ? undefined : result.signature;
+    storedFile.scannedAt = new Date();
+    await storedFile.save();
+  }
+
+  await applyScanResult(storedFile);
+  return storedFile;
+};
+
+// Scan stored content and apply the verdict to every resource waiting on it.
+// Concurrent calls for the same content share one scan.
+const scanStoredFile = (sha256) => {
+  if (!inFlight.has(sha256)) {
+    inFlight.set(sha256, runScan(sha256).finally(() => inFlight.delete(sha256)));
+  }
+  return inFlight.get(sha256);
+};
+
+// Start a scan in the background; failures leave the upload pending so
+// rescanPending can retry it
+const queueScan = (sha256) => {
+  scanStoredFile(sha256).catch(error => {
+    console.error(`Malware scan error (${sha256}):`, error);
+  });
+};
+
+// Retry scans that failed or were interrupted by a restart
+const rescanPending = async (olderThanMs = 60 * 1000) => {
+  const cutoff = new Date(Date.now() - olderThanMs);
+  const hashes = await Resource.distinct('versions.sha256', {
+    versions: { $elemMatch: { scanStatus: 'pending_scan', createdAt: { $lt: cutoff } } }
+  });
+
+  let scanned = 0;
+  for (const sha256 of hashes) {
+    try {
+      await scanStoredFile(sha256);
+      scanned++;
+    } catch (error) {
+      console.error(`Malware scan error (${sha256}):`, error);
+    }
+  }
+  return scanned;
+};
+
+// Override an infected verdict after review; returns null when the content
+// is no longer stored
+const releaseQuarantine = async (sha256, adminId) => {
+  const storedFile = await StoredFile.findOneAndUpdate(
+    { sha256 },
+    { scanStatus: 'clean', releasedBy: adminId },
+    { new: true }
+  );
+
+  if (!storedFile) {
+    return null;
+  }
+
+  await applyScanResult(storedFile);
+  return storedFile;
+};
+
+module.exports = {
+  applyScanResult,
+  scanStoredFile,
+  queueScan,
+  rescanPending,
+  releaseQuarantine
+};
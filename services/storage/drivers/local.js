@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
+
+// Stores files under a directory on this server's disk
+const createLocalDriver = ({ directory }) => {
+  const root = path.resolve(directory || path.join(__dirname, '../../../uploads'));
+
+  // Keys are relative to the root; files uploaded before storage drivers
+  // existed were saved with absolute paths, which are used as-is
+  const resolve = (key) => {
+    if (path.isAbsolute(key)) {
+      return key;
+    }
+
+    const fullPath = path.resolve(root, key);
+    if (!fullPath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return fullPath;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, body) {
+      const fullPath = resolve(key);
+      await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+
+      // Write to a temporary name first so readers never see a partial file
+      const tempPath = `${fullPath}.${process.pid}.partial`;
+      const source = Buffer.isBuffer(body) ? Readable.from([body]) : body;
+      try {
+        await pipeline(source, fs.createWriteStream(tempPath));
+        await fs.promises.rename(tempPath, fullPath);
+      } catch (error) {
+        await fs.promises.rm(tempPath, { force: true });
+        throw error;
+      }
+
+      const { size } = await fs.promises.stat(fullPath);
+      return { key, size };
+    },
+
+    async get(key) {
+      return fs.createReadStream(resolve(key));
+    },
+
+    // Byte range with an inclusive end, as in HTTP Range headers
+    async getRange(key, { start, end }) {
+      return fs.createReadStream(resolve(key), { start, end });
+    },
+
+    async stat(key) {
+      try {
+        const stats = await fs.promises.stat(resolve(key));
+        return { size: stats.size, lastModified: stats.mtime };
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    }
+  };
+};
+
+module.exports = createLocalDriver;
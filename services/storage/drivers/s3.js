@@ -0,0 +1,89 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+// Stores files in an S3-compatible bucket (AWS S3, MinIO, ...)
+const createS3Driver = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix = '' }) => {
+  if (!bucket) {
+    throw new Error('S3 storage requires a bucket (set S3_BUCKET)');
+  }
+
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const objectKey = (key) => prefix + key;
+
+  const isNotFound = (error) =>
+    error.name === 'NotFound' || error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404;
+
+  return {
+    name: 's3',
+    client,
+
+    async put(key, body, { size, contentType } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: body,
+        ContentLength: Buffer.isBuffer(body) ? body.length : size,
+        ContentType: contentType
+      }));
+
+      return { key, size: Buffer.isBuffer(body) ? body.length : size };
+    },
+
+    async get(key) {
+      const response = await client.send(new GetObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key)
+      }));
+      return response.Body;
+    },
+
+    // Byte range with an inclusive end, as in HTTP Range headers
+    async getRange(key, { start, end }) {
+      const response = await client.send(new GetObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Range: `bytes=${start}-${end === undefined ? '' : end}`
+      }));
+      return response.Body;
+    },
+
+    async stat(key) {
+      try {
+        const response = await client.send(new HeadObjectCommand({
+          Bucket: bucket,
+          Key: objectKey(key)
+        }));
+        return {
+          size: response.ContentLength,
+          contentType: response.ContentType,
+          lastModified: response.LastModified
+        };
+      } catch (error) {
+        if (isNotFound(error)) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key)
+      }));
+    }
+  };
+};
+
+module.exports = createS3Driver;
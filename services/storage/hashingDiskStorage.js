@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
+
+// Multer storage engine that writes uploads to a temporary folder and
+// computes their SHA-256 while the bytes stream in. Adds `sha256` to req.file.
+const createHashingDiskStorage = ({ directory, filename }) => ({
+  _handleFile(req, file, cb) {
+    fs.promises.mkdir(directory, { recursive: true })
+      .then(() => new Promise((resolve, reject) => {
+        filename(req, file, (error, name) => (error ? reject(error) : resolve(name)));
+      }))
+      .then(async (name) => {
+        const filePath = path.join(directory, name);
+        const hash = crypto.createHash('sha256');
+        let size = 0;
+
+        const hasher = new Transform({
+          transform(chunk, encoding, callback) {
+            hash.update(chunk);
+            size += chunk.length;
+            callback(null, chunk);
+          }
+        });
+
+        try {
+          await pipeline(file.stream, hasher, fs.createWriteStream(filePath));
+        } catch (error) {
+          await fs.promises.rm(filePath, { force: true });
+          throw error;
+        }
+
+        return { destination: directory, filename: name, path: filePath, size, sha256: hash.digest('hex') };
+      })
+      .then(info => cb(null, info), cb);
+  },
+
+  _removeFile(req, file, cb) {
+    fs.promises.rm(file.path, { force: true }).then(() => cb(null), cb);
+  }
+});
+
+module.exports = createHashingDiskStorage;
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const StoredFile = require('../../models/StoredFile');
+const createLocalDriver = require('./drivers/local');
+const createS3Driver = require('./drivers/s3');
+
+// Every driver implements:
+//   put(key, body, { size, contentType })  body is a Buffer or readable stream
+//   get(key)                               readable stream of the whole file
+//   getRange(key, { start, end })          readable stream of an inclusive byte range
+//   stat(key)                              { size, lastModified, ... } or null when missing
+//   delete(key)                            succeeds when the file is already gone
+
+const DRIVERS = ['local', 's3'];
+
+const drivers = {};
+
+const getDefaultDriverName = () => process.env.STORAGE_DRIVER || 'local';
+
+// Build the driver with the given name from environment settings
+const createStorage = (name = getDefaultDriverName()) => {
+  switch (name) {
+    case 's3':
+      return createS3Driver({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        // MinIO and most self-hosted services need path-style URLs
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true' || Boolean(process.env.S3_ENDPOINT),
+        prefix: process.env.S3_PREFIX
+      });
+    case 'local':
+      return createLocalDriver({ directory: process.env.STORAGE_LOCAL_DIR });
+    default:
+      throw new Error(`Unknown storage driver: ${name}`);
+  }
+};
+
+// Files record which driver holds them, so several drivers can be live at once
+const getStorage = (name = getDefaultDriverName()) => {
+  if (!drivers[name]) {
+    drivers[name] = createStorage(name);
+  }
+  return drivers[name];
+};
+
+// Allow callers (and scripts) to swap a driver at runtime
+const setStorage = (name, driver) => {
+  drivers[name] = driver;
+};
+
+// Move a file multer wrote to a temporary path into storage. Content that is
+// already stored is not written again; it just gains a reference.
+// Returns { storage, key, sha256 } to save on the resource, plus the
+// content's scanStatus.
+const storeUploadedFile = async (file) => {
+  const { sha256 } = file;
+
+  try {
+    let storedFile = await StoredFile.addReference(sha256);
+
+    if (!storedFile) {
+      const storage = getStorage();
+      const key = StoredFile.keyFor(sha256);
+
+      await storage.put(key, fs.createReadStream(file.path), {
+        size: file.size,
+        contentType: file.mimetype
+      });
+
+      try {
+        storedFile = await StoredFile.findOneAndUpdate(
+          { sha256 },
+          {
+            $inc: { refCount: 1 },
+            $setOnInsert: { storage: storage.name, key, size: file.size, mimeType: file.mimetype }
+          },
+          { upsert: true, new: true }
+        );
+      } catch (error) {
+        // Another upload of the same content created the record first
+        if (error.code !== 11000) throw error;
+        storedFile = await StoredFile.addReference(sha256);
+      }
+    }
+
+    return { storage: storedFile.storage, key: storedFile.key, sha256, scanStatus: storedFile.scanStatus };
+  } finally {
+    await fs.promises.rm(file.path, { force: true });
+  }
+};
+
+// Drop one reference to stored content, deleting the bytes with the last one
+const releaseStoredFile = async (sha256) => {
+  const storedFile = await StoredFile.releaseReference(sha256);
+  if (storedFile) {
+    await getStorage(storedFile.storage).delete(storedFile.key);
+  }
+};
+
+// Read a whole stored file into memory
+const readStoredFile = async (name, key) => {
+  const chunks = [];
+  for await (const chunk of await getStorage(name).get(key)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+module.exports = {
+  DRIVERS,
+  getDefaultDriverName,
+  createStorage,
+  getStorage,
+  setStorage,
+  storeUploadedFile,
+  releaseStoredFile,
+  readStoredFile
+};
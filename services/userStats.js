@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const Resource = require('../models/Resource');
+const Rating = require('../models/Rating');
+const ResourceDownload = require('../models/ResourceDownload');
+
+// Aggregations need real ObjectIds; ids from tokens may be strings
+const toObjectId = (id) => (typeof id === 'string' ? new mongoose.Types.ObjectId(id) : id);
+
+// Headline numbers for a user's dashboard (and their weekly digest)
+const getUserStats = async (userId) => {
+  const author = toObjectId(userId);
+
+  // Get user's uploaded resources count
+  const uploadedResources = await Resource.countDocuments({
+    author,
+    isActive: true
+  });
+
+  // Get user's total downloads received
+  const downloadTotals = await Resource.aggregate([
+    { $match: { author, isActive: true } },
+    { $group: { _id: null, total: { $sum: '$downloadCount' } } }
+  ]);
+
+  // Get user's ratings given
+  const ratingsGiven = await Rating.countDocuments({
+    user: author,
+    isActive: true
+  });
+
+  // Get user's average rating received
+  const avgRatingResult = await Resource.aggregate([
+    { $match: { author, isActive: true, totalRatings: { $gt: 0 } } },
+    { $group: { _id: null, avgRating: { $avg: '$averageRating' } } }
+  ]);
+
+  return {
+    uploadedResources,
+    totalDownloads: downloadTotals.length > 0 ? downloadTotals[0].total : 0,
+    ratingsGiven,
+    averageRating: avgRatingResult.length > 0 ? Math.round(avgRatingResult[0].avgRating * 10) / 10 : 0
+  };
+};
+
+// Subject distribution of a user's uploads
+const getSubjectDistribution = (userId) => Resource.aggregate([
+  { $match: { author: toObjectId(userId), isActive: true } },
+  { $group: { _id: '$subject', count: { $sum: 1 } } },
+  { $sort: { count: -1 } }
+]);
+
+// Ratings and feedback others left on a user's resources since a date,
+// newest first: { total, averageRating, ratings: [{ resource, title, rating, feedback, createdAt }] }
+const getRatingsReceivedSince = async (userId, since, limit = 10) => {
+  const author = toObjectId(userId);
+
+  const [result] = await Resource.aggregate([
+    { $match: { author, isActive: true, 'ratings.createdAt': { $gte: since } } },
+    { $unwind: '$ratings' },
+    { $match: { 'ratings.createdAt': { $gte: since }, 'ratings.user': { $ne: author } } },
+    { $sort: { 'ratings.createdAt': -1 } },
+    {
+      $facet: {
+        totals: [{ $group: { _id: null, total: { $sum: 1 }, averageRating: { $avg: '$ratings.rating' } } }],
+        ratings: [
+          { $limit: limit },
+          {
+            $project: {
+              _id: 0,
+              resource: '$_id',
+              title: 1,
+              rating: '$ratings.rating',
+              feedback: '$ratings.feedback',
+              createdAt: '$ratings.createdAt'
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const totals = result && result.totals[0];
+  return {
+    total: totals ? totals.total : 0,
+    averageRating: totals ? Math.round(totals.averageRating * 10) / 10 : 0,
+    ratings: result ? result.ratings : []
+  };
+};
+
+// People who downloaded a user's resources since a date, per resource:
+// { total, resources: [{ resource, title, downloaders }] }
+const getDownloadsSince = async (userId, since, limit = 5) => {
+  const author = toObjectId(userId);
+
+  const resources = await Resource.find({ author, isActive: true }).select('title').lean();
+  const titles = new Map(resources.map(resource => [resource._id.toString(), resource.title]));
+
+  const downloads = await ResourceDownload.aggregate([
+    { $match: { resource: { $in: resources.map(resource => resource._id) }, downloadedAt: { $gte: since }, user: { $ne: author } } },
+    { $group: { _id: '$resource', downloaders: { $sum: 1 } } },
+    { $sort: { downloaders: -1 } }
+  ]);
+
+  return {
+    total: downloads.reduce((sum, entry) => sum + entry.downloaders, 0),
+    resources: downloads.slice(0, limit).map(entry => ({
+      resource: entry._id,
+      title: titles.get(entry._id.toString()),
+      downloaders: entry.downloaders
+    }))
+  };
+};
+
+module.exports = {
+  getUserStats,
+  getSubjectDistribution,
+  getRatingsReceivedSince,
+  getDownloadsSince
+};
@@ -0,0 +1,130 @@
+const JSZip = require('jszip');
+const { PDFParse } = require('pdf-parse');
+
+// Text kept per resource for search; enough for long lecture notes
+const MAX_TEXT_LENGTH = 100000;
+// Uncompressed XML read from one DOCX or PPTX, and slides read from a deck.
+// A small zip can inflate to gigabytes, so parts are streamed and cut off.
+const MAX_XML_SIZE = 20 * 1024 * 1024;
+const MAX_SLIDES = 500;
+
+const decodeXmlEntities = (text) => text
+  .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// Text of each non-empty paragraph in an Office Open XML part. Word uses
+// w:p/w:t and PowerPoint a:p/a:t.
+const xmlParagraphs = (xml, prefix) => {
+  const runPattern = new RegExp(`<${prefix}:t(?:\\s[^>]*)?>([^<]*)</${prefix}:t>`, 'g');
+
+  return xml.split(`</${prefix}:p>`)
+    .map(paragraph => Array.from(paragraph.matchAll(runPattern), match => decodeXmlEntities(match[1])).join(''))
+    .map(text => text.trim())
+    .filter(Boolean);
+};
+
+// Inflate a zip entry as text, or resolve null once it passes `limit` bytes.
+// The size in the zip directory is checked first but can lie, so the
+// inflated bytes are counted too.
+const readZipEntry = (file, limit) => {
+  if (file._data && file._data.uncompressedSize > limit) {
+    return Promise.resolve(null);
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const stream = file.nodeStream('nodebuffer');
+
+    stream.on('data', chunk => {
+      size += chunk.length;
+      if (size > limit) {
+        stream.destroy();
+        resolve(null);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    stream.on('error', reject);
+  });
+};
+
+// Paragraphs of a DOCX body; none when the body is too large to read
+const docxParagraphs = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const document = zip.file('word/document.xml');
+  const xml = document && await readZipEntry(document, MAX_XML_SIZE);
+  return xml ? xmlParagraphs(xml, 'w') : [];
+};
+
+// Paragraphs of each PPTX slide, in slide number order. presentation.xml
+// holds the real order, but decks almost always number slides in sequence.
+// Slides are read one at a time until the size budget runs out.
+const pptxSlides = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const slides = zip.file(/^ppt\/slides\/slide\d+\.xml$/)
+    .map(file => ({ file, number: parseInt(file.name.match(/(\d+)\.xml$/)[1]) }))
+    .sort((a, b) => a.number - b.number)
+    .slice(0, MAX_SLIDES);
+
+  const paragraphs = [];
+  let budget = MAX_XML_SIZE;
+  for (const { file } of slides) {
+    const xml = await readZipEntry(file, budget);
+    if (xml === null) {
+      break;
+    }
+    budget -= Buffer.byteLength(xml);
+    paragraphs.push(xmlParagraphs(xml, 'a'));
+  }
+
+  return paragraphs;
+};
+
+// Text of a PDF's pages; pass `pages` to stop early
+const pdfPages = async (buffer, { pages } = {}) => {
+  const parser = new PDFParse({ data: buffer });
+  try {
+    const result = await parser.getText(pages ? { first: pages } : {});
+    return result.pages.map(page => page.text);
+  } finally {
+    await parser.destroy();
+  }
+};
+
+const EXTRACTORS = {
+  'application/pdf': async (buffer) => (await pdfPages(buffer)).join('\n'),
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': async (buffer) => (await docxParagraphs(buffer)).join('\n'),
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': async (buffer) => (await pptxSlides(buffer)).map(slide => slide.join('\n')).join('\n'),
+  'text/plain': async (buffer) => buffer.toString('utf8')
+};
+
+// Whether text can be extracted from files of this type
+const canExtractText = (mimeType) => Boolean(EXTRACTORS[mimeType]);
+
+// All searchable text in a file, normalised and capped, or null for types
+// text cannot be extracted from
+const extractText = async (buffer, mimeType) => {
+  const extractor = EXTRACTORS[mimeType];
+  if (!extractor) {
+    return null;
+  }
+
+  const text = await extractor(buffer);
+  return text.replace(/[ \t]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim().slice(0, MAX_TEXT_LENGTH);
+};
+
+module.exports = {
+  xmlParagraphs,
+  docxParagraphs,
+  pptxSlides,
+  pdfPages,
+  canExtractText,
+  extractText
+};
@@ -0,0 +1,103 @@
+const fs = require('fs');
+
+const HEAD_BYTES = 4096;
+// Office Open XML part names live in the zip central directory at the end
+const TAIL_BYTES = 64 * 1024;
+
+const startsWith = (buffer, bytes, offset = 0) => {
+  return buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+};
+
+// Tabs, line breaks and form feeds are the only control bytes text may contain
+const TEXT_CONTROL_BYTES = new Set([0x09, 0x0a, 0x0c, 0x0d]);
+
+const isText = (buffer) => {
+  if (buffer.some(byte => byte < 0x20 && !TEXT_CONTROL_BYTES.has(byte))) {
+    return false;
+  }
+
+  try {
+    // stream: true tolerates a multi-byte character cut off at the end
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Identify a file from its leading bytes (and, for zip containers, its
+// trailing bytes). Returns a mimetype, or null when the content is unknown.
+const detectFileType = (head, tail = head) => {
+  if (startsWith(head, [0x25, 0x50, 0x44, 0x46, 0x2d])) return 'application/pdf'; // %PDF-
+  if (startsWith(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (startsWith(head, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith(head, [0x47, 0x49, 0x46, 0x38])) return 'image/gif'; // GIF8
+  if (startsWith(head, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) return 'application/x-ole-storage';
+
+  if (startsWith(head, [0x50, 0x4b, 0x03, 0x04])) {
+    const names = head.toString('latin1') + tail.toString('latin1');
+    if (names.includes('word/')) return 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+    if (names.includes('ppt/')) return 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+    return 'application/zip';
+  }
+
+  // Plain text has no signature: accept UTF-8 without control bytes
+  if (isText(head)) return 'text/plain';
+
+  return null;
+};
+
+// Legacy Word and PowerPoint files share one container format
+const COMPATIBLE_TYPES = {
+  'application/msword': ['application/x-ole-storage'],
+  'application/vnd.ms-powerpoint': ['application/x-ole-storage']
+};
+
+// Whether detected content is what the client said it uploaded
+const matchesDeclaredType = (declared, detected) => {
+  return Boolean(detected) && (declared === detected || (COMPATIBLE_TYPES[declared] || []).includes(detected));
+};
+
+// Read the bytes detectFileType needs from a file on disk
+const detectFileTypeFromPath = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+
+  try {
+    const { size } = await handle.stat();
+
+    const head = Buffer.alloc(Math.min(HEAD_BYTES, size));
+    await handle.read(head, 0, head.length, 0);
+
+    const tailLength = Math.min(TAIL_BYTES, size);
+    const tail = Buffer.alloc(tailLength);
+    await handle.read(tail, 0, tailLength, size - tailLength);
+
+    return detectFileType(head, tail);
+  } finally {
+    await handle.close();
+  }
+};
+
+// File types offered as search filters, by the mimetypes they cover
+const FILE_TYPE_GROUPS = {
+  pdf: ['application/pdf'],
+  doc: ['application/msword'],
+  docx: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  ppt: ['application/vnd.ms-powerpoint'],
+  pptx: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+  txt: ['text/plain'],
+  image: ['image/jpeg', 'image/png', 'image/gif']
+};
+
+// The FILE_TYPE_GROUPS key for a mimetype, or 'other'
+const fileTypeGroupOf = (mimeType) => {
+  return Object.keys(FILE_TYPE_GROUPS).find(group => FILE_TYPE_GROUPS[group].includes(mimeType)) || 'other';
+};
+
+module.exports = {
+  FILE_TYPE_GROUPS,
+  fileTypeGroupOf,
+  detectFileType,
+  detectFileTypeFromPath,
+  matchesDeclaredType
+};
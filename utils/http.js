@@ -0,0 +1,101 @@
+// Helpers for conditional and range requests (RFC 9110)
+
+// Parse a comma-separated If-None-Match / If-Match list of entity tags
+const parseETagList = (header) => {
+  return String(header || '')
+    .split(',')
+    .map(tag => tag.trim())
+    .filter(Boolean);
+};
+
+const opaqueTag = (tag) => tag.replace(/^W\//, '');
+
+// Weak comparison, used by If-None-Match
+const etagMatchesWeak = (header, etag) => {
+  const tags = parseETagList(header);
+  return tags.includes('*') || tags.some(tag => opaqueTag(tag) === opaqueTag(etag));
+};
+
+// Strong comparison, used by If-Range: weak tags never match
+const etagMatchesStrong = (tag, etag) => {
+  return !tag.startsWith('W/') && !etag.startsWith('W/') && tag === etag;
+};
+
+// HTTP dates have one-second precision
+const toHttpSeconds = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+// Whether a GET can be answered with 304 Not Modified
+const isNotModified = (req, { etag, lastModified }) => {
+  const ifNoneMatch = req.get('If-None-Match');
+  if (ifNoneMatch) {
+    return etagMatchesWeak(ifNoneMatch, etag);
+  }
+
+  const ifModifiedSince = Date.parse(req.get('If-Modified-Since') || '');
+  if (!isNaN(ifModifiedSince) && lastModified) {
+    return toHttpSeconds(lastModified) <= Math.floor(ifModifiedSince / 1000);
+  }
+
+  return false;
+};
+
+// Whether a Range header should be honoured given If-Range
+const isRangeFresh = (req, { etag, lastModified }) => {
+  const ifRange = req.get('If-Range');
+  if (!ifRange) {
+    return true;
+  }
+
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+    return etagMatchesStrong(ifRange.trim(), etag);
+  }
+
+  const date = Date.parse(ifRange);
+  return !isNaN(date) && Boolean(lastModified) && toHttpSeconds(lastModified) === Math.floor(date / 1000);
+};
+
+// Parse a Range header against a file size. Returns null when there is no
+// usable bytes range, { multiple: true } for multi-range requests,
+// { unsatisfiable: true } when the range is outside the file, or
+// { start, end } with an inclusive end.
+const parseRange = (header, size) => {
+  const match = /^bytes=(.+)$/.exec(String(header || '').trim());
+  if (!match) {
+    return null;
+  }
+
+  const specs = match[1].split(',').map(spec => spec.trim());
+  if (specs.length > 1) {
+    return { multiple: true };
+  }
+
+  const [startText, endText] = specs[0].split('-');
+  if (specs[0].indexOf('-') === -1 || !/^\d*$/.test(startText) || !/^\d*$/.test(endText)) {
+    return null;
+  }
+
+  let start;
+  let end;
+  if (startText === '') {
+    // Suffix range: the last N bytes
+    if (endText === '') return null;
+    const length = parseInt(endText);
+    if (length === 0) return { unsatisfiable: true };
+    start = Math.max(size - length, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(startText);
+    end = endText === '' ? Infinity : parseInt(endText);
+    if (end < start) return null;
+    if (start >= size) return { unsatisfiable: true };
+    end = Math.min(end, size - 1);
+  }
+
+  return { start, end };
+};
+
+module.exports = {
+  isNotModified,
+  isRangeFresh,
+  parseRange
+};
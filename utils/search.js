@@ -0,0 +1,113 @@
+const { escapeRegex } = require('./text');
+
+const MAX_QUERY_PARTS = 20;
+const MAX_PART_LENGTH = 100;
+const SNIPPET_LENGTH = 200;
+// Context kept before the first match in a snippet
+const SNIPPET_LEAD = 60;
+
+// Parse a search box query into bare words, "quoted phrases" and -excluded
+// words or phrases
+const parseSearchQuery = (input) => {
+  const query = { terms: [], phrases: [], excluded: [] };
+  const pattern = /(-?)"([^"]*)"?|(-?)(\S+)/g;
+
+  for (const match of String(input || '').matchAll(pattern)) {
+    const negated = Boolean(match[1] || match[3]);
+    const isPhrase = match[2] !== undefined;
+    const text = (isPhrase ? match[2] : match[4].replace(/"/g, ''))
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, MAX_PART_LENGTH);
+
+    if (!text) continue;
+
+    if (negated) {
+      query.excluded.push(text);
+    } else if (isPhrase && text.includes(' ')) {
+      query.phrases.push(text);
+    } else {
+      query.terms.push(text);
+    }
+
+    if (query.terms.length + query.phrases.length + query.excluded.length >= MAX_QUERY_PARTS) {
+      break;
+    }
+  }
+
+  return query;
+};
+
+// Whether a parsed query has anything to match; exclusions alone match nothing
+const hasSearchTerms = (query) => query.terms.length > 0 || query.phrases.length > 0;
+
+// Rebuild a parsed query for MongoDB's $text operator, which understands the
+// same phrase and exclusion syntax
+const toTextSearch = ({ terms, phrases, excluded }) => [
+  ...terms,
+  ...phrases.map(phrase => `"${phrase}"`),
+  ...excluded.map(text => (text.includes(' ') ? `-"${text}"` : `-${text}`))
+].join(' ');
+
+// The text index stems words, so "studies" also finds "study". Highlighting
+// approximates that by stripping a common suffix and allowing any other.
+const STEM_SUFFIXES = 'ing|ies|ied|ying|es|ed|ly|er|ers|s|y';
+
+const stem = (word) => {
+  const lower = word.toLowerCase();
+  const stripped = lower.replace(new RegExp(`(${STEM_SUFFIXES})$`), '');
+  return stripped.length >= 3 ? stripped : lower;
+};
+
+const matchPattern = ({ terms, phrases }) => {
+  const parts = [
+    ...phrases.map(phrase => phrase.split(' ').map(escapeRegex).join('\\s+')),
+    ...terms.map(term => `${escapeRegex(stem(term))}(?:${STEM_SUFFIXES})?`)
+  ];
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${parts.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+};
+
+// Cut a snippet of `text` around the first match of the query. Returns
+// { text, highlights: [{ start, length }] } with offsets into the snippet,
+// or null when the text does not contain a match.
+const buildSnippet = (text, query) => {
+  if (!text || !hasSearchTerms(query)) {
+    return null;
+  }
+
+  const pattern = matchPattern(query);
+  const first = pattern.exec(text);
+  if (!first) {
+    return null;
+  }
+
+  // Start on a word boundary shortly before the first match
+  let start = Math.max(0, first.index - SNIPPET_LEAD);
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space !== -1 && space < first.index ? space + 1 : first.index;
+  }
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    end = space > first.index ? space : end;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const body = text.slice(start, end).replace(/\s+/g, ' ');
+
+  const highlights = Array.from(body.matchAll(matchPattern(query)), match => ({
+    start: prefix.length + match.index,
+    length: match[0].length
+  }));
+
+  return { text: prefix + body + suffix, highlights };
+};
+
+module.exports = {
+  parseSearchQuery,
+  hasSearchTerms,
+  toTextSearch,
+  buildSnippet
+};
@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const { JWT_SECRET } = require('./tokens');
+
+const DOWNLOAD_URL_SECRET = process.env.DOWNLOAD_URL_SECRET || JWT_SECRET;
+const DEFAULT_TTL_SECONDS = parseInt(process.env.DOWNLOAD_URL_TTL_SECONDS) || 15 * 60;
+const MAX_TTL_SECONDS = 60 * 60;
+
+const sign = (resourceId, version, userId, expires) => {
+  return crypto
+    .createHmac('sha256', DOWNLOAD_URL_SECRET)
+    .update(`${resourceId}.${version}.${userId}.${expires}`)
+    .digest('base64url');
+};
+
+// Build a download URL for one version of a resource, valid for one user until
+// it expires. The filename segment is cosmetic and not signed.
+const createDownloadUrl = ({ resourceId, version, userId, filename, ttlSeconds = DEFAULT_TTL_SECONDS }) => {
+  const ttl = Math.min(Math.max(parseInt(ttlSeconds) || DEFAULT_TTL_SECONDS, 1), MAX_TTL_SECONDS);
+  const expires = Math.floor(Date.now() / 1000) + ttl;
+  const query = new URLSearchParams({
+    v: version,
+    u: userId,
+    e: expires,
+    sig: sign(resourceId, version, userId, expires)
+  });
+
+  return {
+    url: `/files/${resourceId}/${encodeURIComponent(filename)}?${query}`,
+    expiresAt: new Date(expires * 1000)
+  };
+};
+
+// Check a signed download URL's parameters. Returns { version, userId },
+// { expired: true } for a genuine but expired link, or null when the
+// signature is wrong.
+const verifyDownloadUrl = (resourceId, { v, u, e, sig }) => {
+  if (!v || !u || !e || !sig) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(resourceId, v, u, e));
+  const given = Buffer.from(String(sig));
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return null;
+  }
+
+  if (parseInt(e) < Math.floor(Date.now() / 1000)) {
+    return { expired: true };
+  }
+
+  return { version: parseInt(v), userId: u };
+};
+
+module.exports = {
+  createDownloadUrl,
+  verifyDownloadUrl
+};
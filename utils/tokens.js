@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// SHA-256 hex digest used to store opaque tokens at rest
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateSecret = () => crypto.randomBytes(48).toString('base64url');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Short-lived access token bound to a session so it can be revoked server-side
+const signAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { userId: user._id, email: user.email, name: user.name, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+const verifyAccessToken = (token) => jwt.verify(token, JWT_SECRET);
+
+// Short-lived proof that the password step of a two-factor login succeeded
+const signTwoFactorChallenge = (user) => {
+  return jwt.sign(
+    { userId: user._id, purpose: '2fa-challenge' },
+    JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+};
+
+// Returns the user id from a valid challenge token, or null
+const verifyTwoFactorChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(String(token || ''), JWT_SECRET);
+    return decoded.purpose === '2fa-challenge' ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Refresh tokens are "<sessionId>.<secret>"; only the hash of the secret is stored
+const formatRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) return null;
+
+  return { sessionId, secret };
+};
+
+// Start a new device session and return the tokens for it
+const issueTokens = async (user, req) => {
+  const secret = generateSecret();
+
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(secret),
+    userAgent: (req.get('user-agent') || '').slice(0, 500),
+    ipAddress: req.ip,
+    expiresAt: refreshExpiry()
+  });
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken: formatRefreshToken(session._id, secret),
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    session
+  };
+};
+
+// Replace the session's refresh token with a fresh one and return new tokens.
+// The swap only happens while the stored hash is still `currentHash`, so of
+// two requests presenting the same token only one can rotate it; the other
+// gets null and must be treated as reuse.
+const rotateTokens = async (session, user, req, currentHash) => {
+  const secret = generateSecret();
+
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: currentHash, revokedAt: null },
+    {
+      $set: {
+        tokenHash: hashToken(secret),
+        lastUsedAt: new Date(),
+        ipAddress: req.ip,
+        expiresAt: refreshExpiry()
+      }
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    return null;
+  }
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken: formatRefreshToken(session._id, secret),
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  };
+};
+
+module.exports = {
+  JWT_SECRET,
+  hashToken,
+  signAccessToken,
+  verifyAccessToken,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  parseRefreshToken,
+  issueTokens,
+  rotateTokens
+};
@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+const { JWT_SECRET } = require('./tokens');
+
+const UNSUBSCRIBE_SECRET = process.env.UNSUBSCRIBE_SECRET || JWT_SECRET;
+
+const sign = (userId, list) => {
+  return crypto
+    .createHmac('sha256', UNSUBSCRIBE_SECRET)
+    .update(`unsubscribe.${list}.${userId}`)
+    .digest('base64url');
+};
+
+// Token for a user's unsubscribe link from one mailing list, e.g. 'digest'.
+// Tokens do not expire so links in old emails keep working.
+const createUnsubscribeToken = (userId, list) => `${userId}.${sign(userId, list)}`;
+
+// Returns the user id a token was issued to, or null when the signature is wrong
+const verifyUnsubscribeToken = (token, list) => {
+  const [userId, sig] = String(token || '').split('.');
+  if (!userId || !sig || !/^[a-f0-9]{24}$/.test(userId)) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(userId, list));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return null;
+  }
+
+  return userId;
+};
+
+module.exports = {
+  createUnsubscribeToken,
+  verifyUnsubscribeToken
+};